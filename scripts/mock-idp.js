@@ -0,0 +1,138 @@
+// Mock OpenID Connect provider for local SSO testing. Never run it in production: anyone can sign
+// in as anyone. It supports discovery, JWKS, the authorization code flow with PKCE (a form that
+// asks for an email address) and GET /mint?email=... for a ready-made ID token (curl, cookies).
+//
+//   npm run mock-idp
+//   AUTH_ISSUER=http://localhost:9400 AUTH_CLIENT_ID=p2p-local npm start
+import { createServer } from 'node:http';
+import crypto from 'node:crypto';
+import { generateKeyPair, exportJWK, SignJWT } from 'jose';
+
+const PORT = Number(process.env.MOCK_IDP_PORT || 9400);
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const TOKEN_TTL = Number(process.env.MOCK_IDP_TOKEN_TTL || 3600); // seconds
+
+const { publicKey, privateKey } = await generateKeyPair('RS256');
+const kid = crypto.randomUUID().slice(0, 8);
+const jwks = { keys: [{ ...(await exportJWK(publicKey)), kid, alg: 'RS256', use: 'sig' }] };
+const codes = new Map(); // code -> { clientId, redirectUri, challenge, nonce, email, expires }
+
+function idToken({ email, clientId, nonce }) {
+	const claims = { email, email_verified: true, name: email.split('@')[0] };
+	if (nonce) claims.nonce = nonce;
+	return new SignJWT(claims)
+		.setProtectedHeader({ alg: 'RS256', kid })
+		.setIssuer(ISSUER)
+		.setAudience(clientId)
+		.setSubject(`mock|${email}`)
+		.setIssuedAt()
+		.setExpirationTime(`${TOKEN_TTL}s`)
+		.sign(privateKey);
+}
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		let body = '';
+		req.setEncoding('utf8');
+		req.on('data', (chunk) => {
+			body += chunk;
+			if (body.length > 16 * 1024) req.destroy();
+		});
+		req.on('end', () => resolve(new URLSearchParams(body)));
+		req.on('error', reject);
+	});
+}
+
+function send(res, status, body, headers = {}) {
+	const json = typeof body !== 'string';
+	res.writeHead(status, {
+		'Content-Type': json ? 'application/json' : 'text/html; charset=utf-8',
+		'Cache-Control': 'no-store',
+		// The page calls the token endpoint from its own origin
+		'Access-Control-Allow-Origin': '*',
+		...headers,
+	});
+	res.end(json ? JSON.stringify(body) : body);
+}
+
+const server = createServer(async (req, res) => {
+	const url = new URL(req.url, ISSUER);
+	try {
+		if (req.method === 'OPTIONS') {
+			return send(res, 204, '', { 'Access-Control-Allow-Headers': 'Content-Type' });
+		}
+		if (url.pathname === '/.well-known/openid-configuration') {
+			return send(res, 200, {
+				issuer: ISSUER,
+				authorization_endpoint: `${ISSUER}/authorize`,
+				token_endpoint: `${ISSUER}/token`,
+				jwks_uri: `${ISSUER}/jwks`,
+				response_types_supported: ['code'],
+				subject_types_supported: ['public'],
+				id_token_signing_alg_values_supported: ['RS256'],
+				code_challenge_methods_supported: ['S256'],
+			});
+		}
+		if (url.pathname === '/jwks') return send(res, 200, jwks);
+		if (url.pathname === '/authorize' && req.method === 'GET') {
+			const q = url.searchParams;
+			if (q.get('response_type') !== 'code' || q.get('code_challenge_method') !== 'S256') {
+				return send(res, 400, 'Only response_type=code with PKCE (S256) is supported');
+			}
+			const hidden = [...q].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`);
+			return send(
+				res,
+				200,
+				`<!doctype html><title>Mock IdP</title><form method="post" action="/authorize">${hidden.join('')}` +
+					'<p>Mock sign-in (testing only)</p><input name="email" type="email" value="alice@example.com" required> ' +
+					'<button>Sign in</button></form>',
+			);
+		}
+		if (url.pathname === '/authorize' && req.method === 'POST') {
+			const f = await readBody(req);
+			const redirectUri = new URL(f.get('redirect_uri'));
+			const code = crypto.randomBytes(16).toString('base64url');
+			codes.set(code, {
+				clientId: f.get('client_id'),
+				redirectUri: redirectUri.href,
+				challenge: f.get('code_challenge'),
+				nonce: f.get('nonce'),
+				email: f.get('email'),
+				expires: Date.now() + 60_000,
+			});
+			redirectUri.searchParams.set('code', code);
+			if (f.get('state')) redirectUri.searchParams.set('state', f.get('state'));
+			res.writeHead(302, { Location: redirectUri.href });
+			return res.end();
+		}
+		if (url.pathname === '/token' && req.method === 'POST') {
+			const f = await readBody(req);
+			const grant = codes.get(f.get('code'));
+			codes.delete(f.get('code'));
+			const verifier = f.get('code_verifier') || '';
+			const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+			if (
+				!grant ||
+				grant.expires < Date.now() ||
+				grant.clientId !== f.get('client_id') ||
+				grant.redirectUri !== f.get('redirect_uri') ||
+				grant.challenge !== challenge
+			) {
+				return send(res, 400, { error: 'invalid_grant' });
+			}
+			const token = await idToken(grant);
+			return send(res, 200, { id_token: token, access_token: token, token_type: 'Bearer', expires_in: TOKEN_TTL });
+		}
+		if (url.pathname === '/mint') {
+			const email = url.searchParams.get('email') || 'alice@example.com';
+			const clientId = url.searchParams.get('aud') || 'p2p-local';
+			return send(res, 200, { id_token: await idToken({ email, clientId }) });
+		}
+		send(res, 404, { error: 'not_found' });
+	} catch (err) {
+		send(res, 400, { error: 'invalid_request', error_description: err.message });
+	}
+});
+server.listen(PORT, () => console.log(`mock IdP at ${ISSUER} (testing only)`));
@@ -0,0 +1,144 @@
+import { createMemoryAdapter } from './memory.js';
+import { createRedisAdapter } from './redis.js';
+import { createNatsAdapter } from './nats.js';
+
+// Signaling bus: forwards messages between instances (publish/subscribe), tracks which instance
+// owns a peer code (presence) and holds the little shared state signaling needs (pairing locks,
+// knock and consent keys, group room members). Adapters: memory (in-process), redis, nats.
+//
+// While the broker is unavailable, state operations fail fast with BusUnavailableError. Publishes
+// either wait in a bounded queue and go out on reconnect (offline: 'queue'; entries older than
+// queueMs are dropped) or fail fast as well (offline: 'fail').
+export class BusUnavailableError extends Error {
+	constructor(adapter, cause) {
+		super(`${adapter} bus unavailable${cause?.message ? `: ${cause.message}` : ''}`);
+		this.name = 'BusUnavailableError';
+		this.cause = cause;
+	}
+}
+
+const ADAPTERS = { memory: createMemoryAdapter, redis: createRedisAdapter, nats: createNatsAdapter };
+const STATE_METHODS = [
+	'claimPeer',
+	'renewPeers',
+	'releasePeer',
+	'hasPeer',
+	'pairSignal',
+	'partnerOf',
+	'claimRoom',
+	'joinRoom',
+	'leaveRoom',
+	'roomMembers',
+	'roomOf',
+	'renewRooms',
+	'get',
+	'set',
+	'del',
+	'touch',
+];
+
+export function createBus({
+	adapter: name,
+	offline = 'queue',
+	queueMax = 1000,
+	queueMs = 30_000,
+	logger,
+	onDrop,
+	...options
+}) {
+	if (!ADAPTERS[name]) throw new Error(`unknown bus adapter "${name}"`);
+	let state = 'connecting';
+	let since = Date.now();
+	let lastError = null;
+	let closed = false;
+	const queue = []; // { msg, at }
+
+	const setState = (next, err) => {
+		if (err) lastError = err;
+		if (next === state || closed) return;
+		state = next;
+		since = Date.now();
+		if (next === 'up') {
+			logger.info({ adapter: name }, 'bus_up');
+			flush();
+		} else {
+			logger.warn({ adapter: name, err: lastError?.message }, 'bus_down');
+		}
+	};
+	const adapter = ADAPTERS[name]({ ...options, setState });
+
+	const drop = (n, reason) => {
+		if (onDrop) onDrop(n, reason);
+	};
+	function flush() {
+		const fresh = Date.now() - queueMs;
+		while (queue.length && state === 'up') {
+			const { msg, at } = queue.shift();
+			if (at < fresh) {
+				drop(1, 'stale');
+				continue;
+			}
+			adapter.publish(msg).catch((err) => {
+				lastError = err;
+				drop(1, 'error');
+			});
+		}
+	}
+
+	const bus = {
+		name,
+		async connect() {
+			try {
+				await adapter.connect();
+			} catch (err) {
+				// The adapter keeps reconnecting where its client supports it; report and carry on
+				setState('down', err);
+			}
+		},
+		async close() {
+			closed = true;
+			await adapter.close();
+		},
+		async publish(msg) {
+			if (state === 'up') {
+				try {
+					return await adapter.publish(msg);
+				} catch (err) {
+					lastError = err;
+					if (offline !== 'queue') throw new BusUnavailableError(name, err);
+				}
+			} else if (offline !== 'queue') {
+				throw new BusUnavailableError(name, lastError);
+			}
+			queue.push({ msg, at: Date.now() });
+			if (queue.length > queueMax) {
+				queue.shift();
+				drop(1, 'overflow');
+			}
+		},
+		subscribe(handler) {
+			adapter.subscribe(handler);
+		},
+		health() {
+			return {
+				adapter: name,
+				state,
+				since: new Date(since).toISOString(),
+				queued: queue.length,
+				lastError: lastError?.message || null,
+			};
+		},
+	};
+	for (const method of STATE_METHODS) {
+		bus[method] = async (...args) => {
+			if (state !== 'up') throw new BusUnavailableError(name, lastError);
+			try {
+				return await adapter[method](...args);
+			} catch (err) {
+				lastError = err;
+				throw new BusUnavailableError(name, err);
+			}
+		};
+	}
+	return bus;
+}
@@ -0,0 +1,148 @@
+import { pairTransition } from './pairing.js';
+
+// In-process bus: a single instance, or several servers in one process (tests) sharing this hub
+const hub = { handlers: new Set(), entries: new Map() }; // entries: key -> { value, expires }
+
+export function createMemoryAdapter({ ttlSec, instanceId, setState }) {
+	const ttlMs = ttlSec * 1000;
+	const handlers = [];
+	const receive = (msg) => {
+		for (const handler of handlers) handler(msg);
+	};
+	const read = (key) => {
+		const e = hub.entries.get(key);
+		if (!e) return null;
+		if (e.expires && e.expires <= Date.now()) {
+			hub.entries.delete(key);
+			return null;
+		}
+		return e.value;
+	};
+	const write = (key, value, ms) => {
+		if (value === null) hub.entries.delete(key);
+		else if (value !== undefined) hub.entries.set(key, { value, expires: ms > 0 ? Date.now() + ms : 0 });
+	};
+	const peerKey = (id) => `peer:${id}`;
+	const partnerKey = (id) => `partner:${id}`;
+	const kvKey = (key) => `kv:${key}`;
+	const roomKey = (room) => `room:${room}`; // -> Map of member id -> lease expiry
+	const roomOfKey = (id) => `roomof:${id}`; // -> room code
+	// Members of a room whose lease has not run out, or null without the room
+	const members = (room) => {
+		const m = read(roomKey(room));
+		if (!m) return null;
+		for (const [id, exp] of m) if (exp <= Date.now()) m.delete(id);
+		return m;
+	};
+
+	return {
+		async connect() {
+			hub.handlers.add(receive);
+			setState('up');
+		},
+		async close() {
+			hub.handlers.delete(receive);
+		},
+		async publish(msg) {
+			// Like a broker: asynchronous, and every subscriber (this instance too) sees the message
+			const copy = JSON.parse(JSON.stringify(msg));
+			for (const handler of hub.handlers) setImmediate(handler, copy);
+		},
+		subscribe(handler) {
+			handlers.push(handler);
+		},
+		async claimPeer(id) {
+			// Peer and room codes share one namespace
+			if (read(peerKey(id)) || read(roomKey(id))) return false;
+			write(peerKey(id), instanceId, ttlMs);
+			return true;
+		},
+		async renewPeers(ids) {
+			const lost = [];
+			for (const id of ids) {
+				const owner = read(peerKey(id));
+				if (owner && owner !== instanceId) {
+					lost.push(id);
+					continue;
+				}
+				write(peerKey(id), instanceId, ttlMs);
+				const p = read(partnerKey(id));
+				if (p) write(partnerKey(id), p, ttlMs);
+			}
+			return lost;
+		},
+		async releasePeer(id) {
+			const p = read(partnerKey(id));
+			if (p && read(partnerKey(p)) === id) write(partnerKey(p), null);
+			write(partnerKey(id), null);
+			if (read(peerKey(id)) === instanceId) write(peerKey(id), null);
+		},
+		async hasPeer(id) {
+			return !!read(peerKey(id));
+		},
+		async pairSignal(from, to, kind) {
+			const t = pairTransition(read(partnerKey(from)), read(partnerKey(to)), from, to, kind);
+			write(partnerKey(from), t.from, ttlMs);
+			write(partnerKey(to), t.to, ttlMs);
+			return t.verdict;
+		},
+		async partnerOf(id) {
+			return read(partnerKey(id));
+		},
+		async claimRoom(room, id) {
+			if (read(peerKey(room)) || read(roomKey(room))) return false;
+			write(roomKey(room), new Map([[id, Date.now() + ttlMs]]), ttlMs);
+			write(roomOfKey(id), room, ttlMs);
+			return true;
+		},
+		async joinRoom(room, id, max) {
+			const m = members(room);
+			if (!m?.size) return 'not-found';
+			if (!m.has(id) && m.size >= max) return 'full';
+			m.set(id, Date.now() + ttlMs);
+			write(roomKey(room), m, ttlMs);
+			write(roomOfKey(id), room, ttlMs);
+			return 'ok';
+		},
+		async leaveRoom(room, id) {
+			if (read(roomOfKey(id)) === room) write(roomOfKey(id), null);
+			const m = members(room);
+			if (!m) return 0;
+			m.delete(id);
+			if (!m.size) write(roomKey(room), null);
+			return m.size;
+		},
+		async roomMembers(room) {
+			return [...(members(room)?.keys() || [])];
+		},
+		async roomOf(id) {
+			return read(roomOfKey(id));
+		},
+		async renewRooms(entries) {
+			for (const [id, room] of entries) {
+				const m = members(room);
+				if (!m?.has(id)) continue;
+				m.set(id, Date.now() + ttlMs);
+				write(roomKey(room), m, ttlMs);
+				write(roomOfKey(id), room, ttlMs);
+			}
+		},
+		async get(key) {
+			return read(kvKey(key));
+		},
+		async set(key, value, ms = 0) {
+			write(kvKey(key), value, ms);
+		},
+		async del(key) {
+			const had = read(kvKey(key)) !== null;
+			write(kvKey(key), null);
+			return had ? 1 : 0;
+		},
+		async touch(keys, ms) {
+			for (const key of keys) {
+				const value = read(kvKey(key));
+				if (value !== null) write(kvKey(key), value, ms);
+			}
+		},
+	};
+}
@@ -0,0 +1,224 @@
+import { connect, JSONCodec, Events } from 'nats';
+import { pairTransition } from './pairing.js';
+
+// NATS bus: a core subject for forwarding, JetStream KV buckets for presence and shared state.
+// Bucket entries expire after the peer TTL unless renewed. KV has no multi-key transactions, so
+// pairing locks use compare-and-set per key: a lost race counts as busy (offer) or drop (answer).
+// A room is one entry holding its members' lease expiries, changed by compare-and-set as well.
+const WRONG_SEQUENCE = 10071; // JetStream: revision changed since it was read
+
+export function createNatsAdapter({ servers, prefix, ttlSec, instanceId, setState }) {
+	const jc = JSONCodec();
+	const subject = `${prefix}.signals`;
+	const handlers = [];
+	let nc = null;
+	let peers = null; // bucket: peer id -> owning instanceId
+	let state = null; // bucket: partner.<id> -> partner id, kv.<key> -> { v, exp }, rooms (below)
+
+	// KV keys allow [-/_=.a-zA-Z0-9]; escape everything else (and '=') as =hh
+	const escapeKey = (key) => String(key).replace(/[^-/_.a-zA-Z0-9]/g, (c) => `=${c.charCodeAt(0).toString(16)}`);
+	const partnerKey = (id) => `partner.${escapeKey(id)}`;
+	const kvKey = (key) => `kv.${escapeKey(key)}`;
+	const roomKey = (room) => `room.${escapeKey(room)}`; // -> { member id: lease expiry }
+	const roomOfKey = (id) => `roomof.${escapeKey(id)}`; // -> room code
+	const raced = (err) => err?.api_error?.err_code === WRONG_SEQUENCE;
+
+	// Live entry as { value, revision }, or null (missing, deleted or past its own expiry)
+	async function entry(bucket, key) {
+		const e = await bucket.get(key);
+		if (!e || e.operation !== 'PUT') return null;
+		const { v, exp } = jc.decode(e.value);
+		if (exp && exp <= Date.now()) return null;
+		return { value: v, revision: e.revision };
+	}
+	const put = (bucket, key, value, ttlMs = 0) =>
+		bucket.put(key, jc.encode({ v: value, exp: ttlMs > 0 ? Date.now() + ttlMs : 0 }));
+	// Write only if the key did not change since it was read (create when it was absent)
+	const putIf = (bucket, key, e, value) =>
+		e
+			? bucket.update(key, jc.encode({ v: value, exp: 0 }), e.revision)
+			: bucket.create(key, jc.encode({ v: value, exp: 0 }));
+
+	// Members whose lease has not run out
+	const live = (members) => Object.fromEntries(Object.entries(members || {}).filter(([, exp]) => exp > Date.now()));
+	// Write a room's members back unless the entry changed since it was read (false: read it again);
+	// no members left deletes the room
+	async function writeRoom(room, e, members) {
+		try {
+			if (!Object.keys(members).length) await state.delete(roomKey(room), { previousSeq: e.revision });
+			else await putIf(state, roomKey(room), e, members);
+			return true;
+		} catch (err) {
+			if (raced(err)) return false;
+			throw err;
+		}
+	}
+
+	return {
+		async connect() {
+			nc = await connect({ servers, name: `p2p-${instanceId}`, maxReconnectAttempts: -1, waitOnFirstConnect: true });
+			const js = nc.jetstream();
+			peers = await js.views.kv(`${prefix}_peers`, { ttl: ttlSec * 1000, history: 1 });
+			state = await js.views.kv(`${prefix}_state`, { ttl: ttlSec * 1000, history: 1 });
+			nc.subscribe(subject, {
+				callback: (err, m) => {
+					if (err) return;
+					let msg;
+					try {
+						msg = jc.decode(m.data);
+					} catch {
+						return;
+					}
+					for (const handler of handlers) handler(msg);
+				},
+			});
+			setState('up');
+			(async () => {
+				for await (const s of nc.status()) {
+					if (s.type === Events.Disconnect) setState('down', new Error(`disconnected from ${s.data}`));
+					else if (s.type === Events.Reconnect) setState('up');
+				}
+			})().catch(() => {});
+			nc.closed().then((err) => setState('down', err || new Error('connection closed')));
+		},
+		async close() {
+			if (nc) await nc.drain().catch(() => {});
+		},
+		async publish(msg) {
+			nc.publish(subject, jc.encode(msg));
+		},
+		subscribe(handler) {
+			handlers.push(handler);
+		},
+		async claimPeer(id) {
+			try {
+				await peers.create(escapeKey(id), jc.encode({ v: instanceId, exp: 0 }));
+			} catch (err) {
+				if (raced(err)) return false;
+				throw err;
+			}
+			// Peer and room codes share one namespace across two buckets: create first, then back off
+			// if the other kind holds the code (a race may cost both sides the code, never neither)
+			if (await entry(state, roomKey(id))) {
+				await peers.delete(escapeKey(id));
+				return false;
+			}
+			return true;
+		},
+		async renewPeers(ids) {
+			const lost = [];
+			for (const id of ids) {
+				const owner = await entry(peers, escapeKey(id));
+				if (owner && owner.value !== instanceId) {
+					lost.push(id);
+					continue;
+				}
+				await put(peers, escapeKey(id), instanceId);
+				const p = await entry(state, partnerKey(id));
+				if (p) await put(state, partnerKey(id), p.value);
+			}
+			return lost;
+		},
+		async releasePeer(id) {
+			const p = await entry(state, partnerKey(id));
+			if (p && (await entry(state, partnerKey(p.value)))?.value === id) await state.delete(partnerKey(p.value));
+			if (p) await state.delete(partnerKey(id));
+			if ((await entry(peers, escapeKey(id)))?.value === instanceId) await peers.delete(escapeKey(id));
+		},
+		async hasPeer(id) {
+			return !!(await entry(peers, escapeKey(id)));
+		},
+		async pairSignal(from, to, kind) {
+			const [ef, et] = await Promise.all([entry(state, partnerKey(from)), entry(state, partnerKey(to))]);
+			const t = pairTransition(ef?.value ?? null, et?.value ?? null, from, to, kind);
+			try {
+				if (t.from === null) await state.delete(partnerKey(from));
+				else if (t.from !== undefined) await putIf(state, partnerKey(from), ef, t.from);
+				if (t.to === null) await state.delete(partnerKey(to));
+				else if (t.to !== undefined) await putIf(state, partnerKey(to), et, t.to);
+			} catch (err) {
+				if (!raced(err)) throw err;
+				return kind === 'offer' ? 'busy' : 'drop';
+			}
+			return t.verdict;
+		},
+		async partnerOf(id) {
+			return (await entry(state, partnerKey(id)))?.value ?? null;
+		},
+		async claimRoom(room, id) {
+			if (await entry(peers, escapeKey(room))) return false;
+			if (!(await writeRoom(room, null, { [id]: Date.now() + ttlSec * 1000 }))) return false;
+			if (await entry(peers, escapeKey(room))) {
+				await state.delete(roomKey(room));
+				return false;
+			}
+			await put(state, roomOfKey(id), room, ttlSec * 1000);
+			return true;
+		},
+		async joinRoom(room, id, max) {
+			for (;;) {
+				const e = await entry(state, roomKey(room));
+				const members = live(e?.value);
+				if (!e || !Object.keys(members).length) return 'not-found';
+				if (!members[id] && Object.keys(members).length >= max) return 'full';
+				members[id] = Date.now() + ttlSec * 1000;
+				if (!(await writeRoom(room, e, members))) continue;
+				await put(state, roomOfKey(id), room, ttlSec * 1000);
+				return 'ok';
+			}
+		},
+		async leaveRoom(room, id) {
+			if ((await entry(state, roomOfKey(id)))?.value === room) await state.delete(roomOfKey(id));
+			for (;;) {
+				const e = await entry(state, roomKey(room));
+				if (!e) return 0;
+				const members = live(e.value);
+				delete members[id];
+				if (await writeRoom(room, e, members)) return Object.keys(members).length;
+			}
+		},
+		async roomMembers(room) {
+			return Object.keys(live((await entry(state, roomKey(room)))?.value));
+		},
+		async roomOf(id) {
+			return (await entry(state, roomOfKey(id)))?.value ?? null;
+		},
+		async renewRooms(entries) {
+			for (const [id, room] of entries) {
+				for (;;) {
+					const e = await entry(state, roomKey(room));
+					const members = live(e?.value);
+					if (!members[id]) break; // left or expired meanwhile
+					members[id] = Date.now() + ttlSec * 1000;
+					if (!(await writeRoom(room, e, members))) continue;
+					await put(state, roomOfKey(id), room, ttlSec * 1000);
+					break;
+				}
+			}
+		},
+		async get(key) {
+			return (await entry(state, kvKey(key)))?.value ?? null;
+		},
+		async set(key, value, ttlMs = 0) {
+			await put(state, kvKey(key), value, ttlMs);
+		},
+		async del(key) {
+			// Compare-and-delete: of two instances consuming the same key only one gets 1
+			const e = await entry(state, kvKey(key));
+			if (!e) return 0;
+			try {
+				await state.delete(kvKey(key), { previousSeq: e.revision });
+				return 1;
+			} catch (err) {
+				if (raced(err)) return 0;
+				throw err;
+			}
+		},
+		async touch(keys, ttlMs) {
+			for (const key of keys) {
+				const e = await entry(state, kvKey(key));
+				if (e) await put(state, kvKey(key), e.value, ttlMs);
+			}
+		},
+	};
+}
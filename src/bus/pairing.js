@@ -0,0 +1,20 @@
+// Busy-locking rules shared by the bus adapters (the Redis adapter runs the same rules in Lua).
+// Given both partner keys, returns the verdict and the new key values: undefined leaves a key as
+// it is, null deletes it.
+export function pairTransition(pf, pt, from, to, kind) {
+	const conflict = (pf && pf !== to) || (pt && pt !== from);
+	if (kind === 'offer') {
+		if (conflict) return { verdict: 'busy' };
+		return { verdict: 'ok', from: to };
+	}
+	if (kind === 'answer') {
+		if (conflict) return { verdict: 'drop' };
+		return { verdict: 'ok', from: to, to: from };
+	}
+	if (kind === 'bye') {
+		return { verdict: 'ok', from: pf === to ? null : undefined, to: pt === from ? null : undefined };
+	}
+	if (kind === 'candidate' && !(pf === to || pt === from || (!pf && !pt))) return { verdict: 'drop' };
+	if (kind === 'restart' && !(pf === to && pt === from)) return { verdict: 'drop' };
+	return { verdict: 'ok' };
+}
@@ -0,0 +1,260 @@
+import Redis from 'ioredis';
+
+// Redis bus: pub/sub for forwarding, per-key leases for presence, Lua for atomic pairing locks and
+// room membership.
+// Modes: standalone (REDIS_URL), sentinel (REDIS_SENTINELS + REDIS_SENTINEL_NAME, credentials from
+// REDIS_URL) or cluster (REDIS_URL lists the seed nodes). In a cluster every key carries the same
+// hash tag, so the multi-key scripts stay in one slot.
+export function createRedisAdapter({ url, mode, sentinels, sentinelName, prefix, ttlSec, instanceId, setState }) {
+	// Fail commands at once while disconnected instead of queueing them inside ioredis
+	const base = { lazyConnect: true, enableOfflineQueue: false, maxRetriesPerRequest: 1 };
+	const urls = String(url || '')
+		.split(',')
+		.map((s) => s.trim())
+		.filter(Boolean);
+	const auth = urls.length ? new URL(urls[0]) : null;
+	const credentials = auth
+		? {
+				username: decodeURIComponent(auth.username) || undefined,
+				password: decodeURIComponent(auth.password) || undefined,
+				db: Number(auth.pathname.slice(1)) || 0,
+			}
+		: {};
+	const open = () => {
+		if (mode === 'cluster') {
+			const nodes = urls.map((u) => {
+				const x = new URL(u);
+				return { host: x.hostname, port: Number(x.port) || 6379 };
+			});
+			const { db: _db, ...redisOptions } = credentials;
+			return new Redis.Cluster(nodes, { lazyConnect: true, enableOfflineQueue: false, redisOptions });
+		}
+		if (mode === 'sentinel') {
+			const list = sentinels.map((s) => {
+				const [host, port] = s.split(':');
+				return { host, port: Number(port) || 26379 };
+			});
+			return new Redis({ ...base, ...credentials, sentinels: list, name: sentinelName });
+		}
+		return new Redis(urls[0], base);
+	};
+	const pub = open();
+	const sub = open();
+	const keyPrefix = mode === 'cluster' ? `{${prefix}}` : prefix;
+	// Per-key leases instead of one hash so entries of a dead node expire on their own
+	const peerKey = (id) => `${keyPrefix}peer:${id}`; // -> owning instanceId
+	const partnerKey = (id) => `${keyPrefix}partner:${id}`; // -> partner id
+	const roomKey = (room) => `${keyPrefix}room:${room}`; // sorted set: member id -> lease expiry (ms)
+	const roomOfKey = (id) => `${keyPrefix}roomof:${id}`; // -> room code
+	const channel = `${keyPrefix}signals`;
+	const handlers = [];
+
+	// Same busy-locking rules as pairing.js, applied atomically across instances
+	pub.defineCommand('pairSignal', {
+		numberOfKeys: 2,
+		lua: `
+			local pf = redis.call('GET', KEYS[1])
+			local pt = redis.call('GET', KEYS[2])
+			local from, to, kind, ttl = ARGV[1], ARGV[2], ARGV[3], ARGV[4]
+			local conflict = (pf and pf ~= to) or (pt and pt ~= from)
+			if kind == 'offer' then
+				if conflict then return 'busy' end
+				redis.call('SET', KEYS[1], to, 'EX', ttl)
+			elseif kind == 'answer' then
+				if conflict then return 'drop' end
+				redis.call('SET', KEYS[1], to, 'EX', ttl)
+				redis.call('SET', KEYS[2], from, 'EX', ttl)
+			elseif kind == 'bye' then
+				if pf == to then redis.call('DEL', KEYS[1]) end
+				if pt == from then redis.call('DEL', KEYS[2]) end
+			elseif kind == 'candidate' then
+				if not (pf == to or pt == from or (not pf and not pt)) then return 'drop' end
+			elseif kind == 'restart' then
+				if not (pf == to and pt == from) then return 'drop' end
+			end
+			return 'ok'`,
+	});
+	// Reserve a peer code unless a peer or a room holds it (both draw from one namespace)
+	pub.defineCommand('claimPeer', {
+		numberOfKeys: 2,
+		lua: `
+			if redis.call('EXISTS', KEYS[2]) == 1 then return 0 end
+			if redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2], 'NX') then return 1 end
+			return 0`,
+	});
+	// Reserve a room code with its first member; members expire like peer leases unless renewed
+	pub.defineCommand('claimRoom', {
+		numberOfKeys: 3,
+		lua: `
+			if redis.call('EXISTS', KEYS[1]) == 1 or redis.call('EXISTS', KEYS[2]) == 1 then return 0 end
+			redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+			redis.call('EXPIRE', KEYS[1], ARGV[3])
+			redis.call('SET', KEYS[3], ARGV[4], 'EX', ARGV[3])
+			return 1`,
+	});
+	pub.defineCommand('joinRoom', {
+		numberOfKeys: 2,
+		lua: `
+			local id, now, exp, ttl, max, room = ARGV[1], ARGV[2], ARGV[3], ARGV[4], tonumber(ARGV[5]), ARGV[6]
+			redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+			if redis.call('EXISTS', KEYS[1]) == 0 then return 'not-found' end
+			if not redis.call('ZSCORE', KEYS[1], id) and redis.call('ZCARD', KEYS[1]) >= max then return 'full' end
+			redis.call('ZADD', KEYS[1], exp, id)
+			redis.call('EXPIRE', KEYS[1], ttl)
+			redis.call('SET', KEYS[2], room, 'EX', ttl)
+			return 'ok'`,
+	});
+	// Remove a member; the room goes away with its last one (an empty sorted set is deleted)
+	pub.defineCommand('leaveRoom', {
+		numberOfKeys: 2,
+		lua: `
+			if redis.call('GET', KEYS[2]) == ARGV[2] then redis.call('DEL', KEYS[2]) end
+			redis.call('ZREM', KEYS[1], ARGV[1])
+			redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[3])
+			return redis.call('ZCARD', KEYS[1])`,
+	});
+	// Renew a peer lease unless another instance owns the ID
+	pub.defineCommand('leasePeer', {
+		numberOfKeys: 1,
+		lua: `
+			local cur = redis.call('GET', KEYS[1])
+			if cur and cur ~= ARGV[1] then return 0 end
+			redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+			return 1`,
+	});
+	// Release a peer's ID and pairing lock, and the counterpart's lock on it (KEYS[3], for the partner
+	// ARGV[3] read beforehand). Returns 0 without changes when the partner moved on in between.
+	pub.defineCommand('releasePeer', {
+		numberOfKeys: 3,
+		lua: `
+			local p = redis.call('GET', KEYS[2])
+			if (p or '') ~= ARGV[3] then return 0 end
+			if p and redis.call('GET', KEYS[3]) == ARGV[1] then redis.call('DEL', KEYS[3]) end
+			redis.call('DEL', KEYS[2])
+			if redis.call('GET', KEYS[1]) == ARGV[2] then redis.call('DEL', KEYS[1]) end
+			return 1`,
+	});
+
+	// Up only while both connections are usable; ioredis reconnects (and resubscribes) on its own
+	const ready = { pub: false, sub: false };
+	let lastError = null;
+	const track = (conn, name) => {
+		conn.on('ready', () => {
+			ready[name] = true;
+			if (ready.pub && ready.sub) setState('up');
+		});
+		conn.on('error', (err) => {
+			lastError = err;
+		});
+		conn.on('close', () => {
+			ready[name] = false;
+			setState('down', lastError);
+		});
+	};
+	track(pub, 'pub');
+	track(sub, 'sub');
+	sub.on('message', (ch, message) => {
+		if (ch !== channel) return;
+		let msg;
+		try {
+			msg = JSON.parse(message);
+		} catch {
+			return;
+		}
+		for (const handler of handlers) handler(msg);
+	});
+
+	return {
+		async connect() {
+			await Promise.all([pub.connect(), sub.connect()]);
+			await sub.subscribe(channel);
+		},
+		async close() {
+			await Promise.allSettled([pub.quit(), sub.quit()]);
+		},
+		async publish(msg) {
+			await pub.publish(channel, JSON.stringify(msg));
+		},
+		subscribe(handler) {
+			handlers.push(handler);
+		},
+		async claimPeer(id) {
+			return (await pub.claimPeer(peerKey(id), roomKey(id), instanceId, ttlSec)) === 1;
+		},
+		async renewPeers(ids) {
+			const pipe = pub.pipeline();
+			for (const id of ids) {
+				pipe.leasePeer(peerKey(id), instanceId, ttlSec);
+				pipe.expire(partnerKey(id), ttlSec); // no-op when unpaired
+			}
+			const results = await pipe.exec();
+			// Lease lapsed (e.g. Redis outage) and another instance took the code
+			return ids.filter((_id, i) => {
+				const [err, owned] = results[i * 2] || [];
+				return !err && owned === 0;
+			});
+		},
+		async releasePeer(id) {
+			// Every key a script touches is declared up front, so the partner is read first
+			for (let attempt = 0; attempt < 5; attempt++) {
+				const p = (await pub.get(partnerKey(id))) || '';
+				const args = [peerKey(id), partnerKey(id), partnerKey(p || id), id, instanceId, p];
+				if ((await pub.releasePeer(...args)) === 1) return;
+			}
+			throw new Error(`pairing of ${id} kept changing during release`);
+		},
+		async hasPeer(id) {
+			return (await pub.exists(peerKey(id))) === 1;
+		},
+		async pairSignal(from, to, kind) {
+			return pub.pairSignal(partnerKey(from), partnerKey(to), from, to, kind, ttlSec);
+		},
+		async partnerOf(id) {
+			return pub.get(partnerKey(id));
+		},
+		async claimRoom(room, id) {
+			const exp = Date.now() + ttlSec * 1000;
+			return (await pub.claimRoom(roomKey(room), peerKey(room), roomOfKey(id), id, exp, ttlSec, room)) === 1;
+		},
+		async joinRoom(room, id, max) {
+			const now = Date.now();
+			return pub.joinRoom(roomKey(room), roomOfKey(id), id, now, now + ttlSec * 1000, ttlSec, max, room);
+		},
+		async leaveRoom(room, id) {
+			return pub.leaveRoom(roomKey(room), roomOfKey(id), id, room, Date.now());
+		},
+		async roomMembers(room) {
+			return pub.zrangebyscore(roomKey(room), `(${Date.now()}`, '+inf');
+		},
+		async roomOf(id) {
+			return pub.get(roomOfKey(id));
+		},
+		async renewRooms(entries) {
+			if (!entries.length) return;
+			const exp = Date.now() + ttlSec * 1000;
+			const pipe = pub.pipeline();
+			for (const [id, room] of entries) {
+				pipe.zadd(roomKey(room), 'XX', exp, id); // not back in once it left or expired
+				pipe.expire(roomKey(room), ttlSec);
+				pipe.expire(roomOfKey(id), ttlSec);
+			}
+			await pipe.exec();
+		},
+		async get(key) {
+			return pub.get(keyPrefix + key);
+		},
+		async set(key, value, ttlMs = 0) {
+			if (ttlMs > 0) await pub.set(keyPrefix + key, value, 'PX', ttlMs);
+			else await pub.set(keyPrefix + key, value);
+		},
+		async del(key) {
+			return pub.del(keyPrefix + key);
+		},
+		async touch(keys, ttlMs) {
+			if (!keys.length) return;
+			const pipe = pub.pipeline();
+			for (const key of keys) pipe.pexpire(keyPrefix + key, ttlMs);
+			await pipe.exec();
+		},
+	};
+}
@@ -2,7 +2,9 @@ import express from 'express';
 import { createServer } from 'node:http';
 import { WebSocketServer } from 'ws';
 import crypto from 'node:crypto';
+import net from 'node:net';
 import path from 'node:path';
+import fs from 'node:fs';
 import helmet from 'helmet';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
@@ -10,26 +12,78 @@ import pino from 'pino';
 import pinoHttp from 'pino-http';
 import { cleanEnv, str, port as envPort, num, bool, json } from 'envalid';
 import client from 'prom-client';
-import Redis from 'ioredis';
+import YAML from 'yaml';
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+import { createBus, BusUnavailableError } from './bus/index.js';
 
 const app = express();
 // Remove Express signature header
 app.disable('x-powered-by');
 const httpServer = createServer(app);
+const startedAt = Date.now();
+let VERSION = 'unknown';
+try {
+	VERSION = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+} catch {}
 
-// Validate configuration early and fail fast
-const env = cleanEnv(process.env, {
+// Settings schema. Values come from the environment, optionally overridden by CONFIG_FILE
+// (JSON or YAML object with the same keys), which is re-read on SIGHUP and when it changes.
+const settingsSpec = {
 	PORT: envPort({ default: 5173 }),
 	WS_PATH: str({ default: '/ws' }),
 	ALLOWED_ORIGINS: str({ default: '' }),
 	ICE_SERVERS: json({ default: [{ urls: ['stun:stun.l.google.com:19302'] }] }),
 	// Some mobile/cellular networks block UDP/NAT traversal; allow forcing TURN-only
 	ICE_FORCE_RELAY: bool({ default: false }),
-	MAX_IP_CONNS: num({ default: 50 }),
+	// coturn use-auth-secret (TURN REST API): mint short-lived credentials per /config request
+	TURN_SECRET: str({ default: '' }),
+	TURN_URLS: str({ default: '' }), // comma-separated, e.g. turns:turn.example.com:5349
+	TURN_TTL: num({ default: 3600 }), // seconds
+	// Put the requester's peer code into the TURN username (attribution in TURN logs)
+	TURN_BIND_PEER: bool({ default: true }),
+	MAX_IP_CONNS: num({ default: 50 }), // per IPv4 address or IPv6 /64
+	// Reverse proxies in front of the app whose X-Forwarded-For entries are trusted;
+	// -1 = 1 when ALLOWED_ORIGINS is set (assume one proxy), else 0
+	TRUST_PROXY_HOPS: num({ default: -1 }),
+	// Comma-separated IPs/CIDRs; when IP_ALLOW is set only those may connect, IP_DENY always refused
+	IP_ALLOW: str({ default: '' }),
+	IP_DENY: str({ default: '' }),
+	// Temporary ban after this many rate-limit closes within the window (0 disables)
+	AUTOBAN_RATE_CLOSES: num({ default: 5 }),
+	AUTOBAN_WINDOW_MS: num({ default: 10 * 60_000 }),
+	AUTOBAN_SECONDS: num({ default: 15 * 60 }),
+	// How long a connection request waits for the callee to accept or decline
+	KNOCK_TIMEOUT_MS: num({ default: 30_000 }),
+	// How long a dropped peer's code (and pairing) is held for resumption
+	RESUME_GRACE_MS: num({ default: 30_000 }),
+	// Draining (SIGTERM or admin): how long active pairs, rooms and relays get to finish
+	DRAIN_TIMEOUT_MS: num({ default: 60_000 }),
+	// Group rooms: max members per room (mesh grows quadratically, keep it small)
+	ROOM_MAX_PEERS: num({ default: 8 }),
+	// Opt-in fallback: stream files through this server when WebRTC cannot connect
+	RELAY_ENABLED: bool({ default: false }),
+	RELAY_PATH: str({ default: '/relay' }),
+	RELAY_MAX_BYTES: num({ default: 256 * 1024 * 1024 }), // per relay session, both directions
+	RELAY_BPS: num({ default: 1024 * 1024 }), // bytes per second per relay session
+	RELAY_IDLE_MS: num({ default: 60_000 }), // close a session without traffic (or never joined)
+	// Error-correction level of the share-link QR code (L, M, Q, H: more redundancy, denser code)
+	QR_EC_LEVEL: str({ choices: ['L', 'M', 'Q', 'H'], default: 'M' }),
 	// Disable metrics by default for production; can be enabled explicitly
 	METRICS_ENABLED: bool({ default: false }),
 	// Optional bearer token to protect /metrics
 	METRICS_TOKEN: str({ default: '' }),
+	// Bearer token for the admin API and console (/admin.html); admin is disabled when empty
+	ADMIN_TOKEN: str({ default: '' }),
+	// SSO: when AUTH_ISSUER is set, signaling needs a JWT from that issuer (OIDC login in the page
+	// with AUTH_CLIENT_ID, or a cookie named AUTH_COOKIE set by an auth proxy)
+	AUTH_ISSUER: str({ default: '' }),
+	AUTH_JWKS_URL: str({ default: '' }), // default: jwks_uri from the issuer's discovery document
+	AUTH_CLIENT_ID: str({ default: '' }),
+	AUTH_AUDIENCE: str({ default: '' }), // default: AUTH_CLIENT_ID
+	AUTH_SCOPES: str({ default: 'openid email profile' }),
+	AUTH_COOKIE: str({ default: '' }),
+	AUTH_IDENTITY_CLAIM: str({ default: 'email' }), // shown to the other side; falls back to sub
+	AUTH_EMAIL_DOMAINS: str({ default: '' }), // comma-separated; only verified emails in these domains
 	// WebSocket message rate limiting (per connection)
 	WS_MSG_RATE: num({ default: 20 }), // tokens per second
 	WS_MSG_BURST: num({ default: 40 }), // bucket capacity
@@ -37,55 +91,132 @@ const env = cleanEnv(process.env, {
 	HTTP_WINDOW_MS: num({ default: 60_000 }),
 	HTTP_STATIC_MAX: num({ default: 300 }),
 	HTTP_CONFIG_MAX: num({ default: 60 }),
-	// Optional Redis URL to enable multi-instance signaling
+	// Signaling bus between instances: memory (single instance), redis or nats. Empty picks redis
+	// when REDIS_URL or REDIS_SENTINELS is set, else memory.
+	BUS: str({ choices: ['', 'memory', 'redis', 'nats'], default: '' }),
+	// Broker down: queue publishes (bounded, dropped when stale) or fail them at once
+	BUS_OFFLINE: str({ choices: ['queue', 'fail'], default: 'queue' }),
+	BUS_QUEUE_MAX: num({ default: 1000 }),
+	BUS_QUEUE_MS: num({ default: 30_000 }),
 	REDIS_URL: str({ default: '' }),
 	REDIS_PREFIX: str({ default: 'p2pws:' }),
+	REDIS_MODE: str({ choices: ['standalone', 'sentinel', 'cluster'], default: 'standalone' }),
+	REDIS_SENTINELS: str({ default: '' }), // host:port,host:port
+	REDIS_SENTINEL_NAME: str({ default: 'mymaster' }),
+	NATS_URL: str({ default: '' }), // comma-separated servers
+	NATS_PREFIX: str({ default: 'p2pws' }),
+	// Lease (seconds) on peer IDs and pairing locks on the bus; refreshed while the node is alive
+	REDIS_PEER_TTL: num({ default: 60 }),
 	NODE_ID: str({ default: '' }),
+	// Audit events (pairing/teardown, no file contents): comma-separated sinks log,file,webhook
+	AUDIT_SINKS: str({ default: '' }),
+	AUDIT_FILE: str({ default: 'audit/audit.ndjson' }),
+	AUDIT_FILE_MAX_BYTES: num({ default: 10 * 1024 * 1024 }),
+	AUDIT_FILE_KEEP: num({ default: 5 }),
+	AUDIT_WEBHOOK_URL: str({ default: '' }),
+	AUDIT_WEBHOOK_TOKEN: str({ default: '' }),
+	// Salt for hashed IPs in audit events; set it to keep hashes stable across restarts
+	AUDIT_IP_SALT: str({ default: '' }),
 	LOG_LEVEL: str({ default: 'info' }),
 	// Optional HSTS header from app (usually set at the proxy)
 	HSTS_ENABLED: bool({ default: false }),
 	HSTS_MAX_AGE: num({ default: 15552000 }), // 180 days
-});
+};
+const CONFIG_FILE = process.env.CONFIG_FILE || '';
+
+// Environment plus the config file (file wins), as strings like the env validators expect
+function readSettingsSource() {
+	const source = { ...process.env };
+	if (!CONFIG_FILE) return source;
+	const text = fs.readFileSync(CONFIG_FILE, 'utf8');
+	const data = /\.ya?ml$/i.test(CONFIG_FILE) ? YAML.parse(text) : JSON.parse(text);
+	if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('config file must hold an object');
+	for (const [key, value] of Object.entries(data)) {
+		if (!(key in settingsSpec)) throw new Error(`unknown setting ${key}`);
+		source[key] = typeof value === 'string' ? value : JSON.stringify(value);
+	}
+	return source;
+}
+
+// Validate everything; throws instead of exiting so a bad reload keeps the running settings
+function loadSettings() {
+	const next = cleanEnv(readSettingsSource(), settingsSpec, {
+		reporter: ({ errors }) => {
+			const keys = Object.keys(errors);
+			if (keys.length) throw new Error(keys.map((k) => `${k}: ${errors[k].message}`).join('; '));
+		},
+	});
+	// Enforce explicit origins in production to avoid permissive defaults
+	if ((process.env.NODE_ENV || '').toLowerCase() === 'production' && !parseOrigins(next.ALLOWED_ORIGINS).size) {
+		throw new Error('ALLOWED_ORIGINS must be set in production (comma-separated exact origins).');
+	}
+	// Audit sinks must be known, and the webhook needs a target
+	for (const sink of splitList(next.AUDIT_SINKS)) {
+		if (!['log', 'file', 'webhook'].includes(sink) || (sink === 'webhook' && !next.AUDIT_WEBHOOK_URL)) {
+			throw new Error(`invalid AUDIT_SINKS entry "${sink}" (use log, file, webhook; webhook needs AUDIT_WEBHOOK_URL)`);
+		}
+	}
+	if (next.AUTH_ISSUER && !next.AUTH_AUDIENCE && !next.AUTH_CLIENT_ID) {
+		throw new Error('AUTH_ISSUER needs AUTH_CLIENT_ID or AUTH_AUDIENCE (the expected token audience)');
+	}
+	parseIpList(next.IP_ALLOW, 'IP_ALLOW');
+	parseIpList(next.IP_DENY, 'IP_DENY');
+	return Object.freeze({ ...next });
+}
+
+function splitList(value) {
+	return String(value || '')
+		.split(',')
+		.map((s) => s.trim())
+		.filter(Boolean);
+}
+
+function parseOrigins(value) {
+	return new Set(splitList(value));
+}
+
+// Validate configuration early and fail fast
+let env;
+try {
+	env = loadSettings();
+} catch (err) {
+	// Use console here (logger not initialized yet)
+	console.error(`Invalid configuration: ${err.message}`);
+	process.exit(1);
+}
 
 const WS_PATH = env.WS_PATH;
-const ALLOWED_ORIGINS = String(env.ALLOWED_ORIGINS || '')
-	.split(',')
-	.map((s) => s.trim())
-	.filter(Boolean);
-const allowedOriginSet = new Set(ALLOWED_ORIGINS);
+let allowedOriginSet = parseOrigins(env.ALLOWED_ORIGINS);
 
 // Configure trusted proxy hops safely:
+// - TRUST_PROXY_HOPS when set explicitly
 // - If explicit ALLOWED_ORIGINS are configured, we assume a single reverse proxy (common)
 // - Otherwise, do not trust proxy headers to avoid XFF spoofing in local/dev
-const TRUST_PROXY = allowedOriginSet.size > 0 ? 1 : false;
+function trustProxyHops() {
+	return Number(env.TRUST_PROXY_HOPS) >= 0 ? Number(env.TRUST_PROXY_HOPS) : allowedOriginSet.size > 0 ? 1 : 0;
+}
+let TRUST_PROXY_HOPS = trustProxyHops();
+let TRUST_PROXY = TRUST_PROXY_HOPS > 0 ? TRUST_PROXY_HOPS : false;
 // Apply Express trust proxy with a non-permissive setting
 app.set('trust proxy', TRUST_PROXY);
 
-// Enforce explicit origins in production to avoid permissive defaults
-if ((process.env.NODE_ENV || '').toLowerCase() === 'production' && allowedOriginSet.size === 0) {
-	// Use console here (logger not initialized yet)
-	console.error('ALLOWED_ORIGINS must be set in production (comma-separated exact origins).');
-	process.exit(1);
-}
-
-// Optional multi-instance signaling via Redis
-const useRedis = !!env.REDIS_URL;
 const instanceId = env.NODE_ID || crypto.randomUUID().slice(0, 8);
-let redisPub = null;
-let redisSub = null;
-let redisPeersKey = null;
-let redisSignalsChannel = null;
-if (useRedis) {
-	redisPub = new Redis(env.REDIS_URL, { lazyConnect: true });
-	redisSub = new Redis(env.REDIS_URL, { lazyConnect: true });
-	redisPeersKey = `${env.REDIS_PREFIX}peers`;
-	redisSignalsChannel = `${env.REDIS_PREFIX}signals`;
-	Promise.all([redisPub.connect(), redisSub.connect()]).catch(() => {});
-	redisSub.subscribe(redisSignalsChannel).catch(() => {});
-}
+const PEER_TTL = Math.max(5, Number(env.REDIS_PEER_TTL));
 
 // WebSocket server in noServer mode to validate Origin and path ourselves
-const wss = new WebSocketServer({ noServer: true, maxPayload: 256 * 1024 }); // 256KB signals limit
+const wss = new WebSocketServer({
+	noServer: true,
+	maxPayload: 256 * 1024, // 256KB signals limit
+	// The page may offer its ID token as a second subprotocol; never echo that one back
+	handleProtocols: (protocols) => (protocols.has('p2p') ? 'p2p' : false),
+});
+// Relay fallback sockets carry file frames (16KB chunks, JSON header/end)
+const relayWss = new WebSocketServer({
+	noServer: true,
+	maxPayload: 256 * 1024,
+	handleProtocols: (protocols) => (protocols.has('p2p') ? 'p2p' : false),
+});
+const RELAY_PATH = env.RELAY_PATH;
 
 // Security headers (CSP tuned for local assets only)
 app.use(
@@ -97,9 +228,11 @@ app.use(
 				'default-src': ["'self'"],
 				'script-src': ["'self'"],
 				'style-src': ["'self'"],
-				'img-src': ["'self'", 'data:', 'https://api.qrserver.com'], // allow QR image
-				// Allow WebSocket connections to same-origin and wss scheme if proxied
-				'connect-src': ["'self'", 'wss:', 'ws:'],
+				// QR codes are rendered in the page as data: URLs; queued images preview from blob: URLs
+				'img-src': ["'self'", 'data:', 'blob:'],
+				// Allow WebSocket connections to same-origin and wss scheme if proxied, plus the
+				// identity provider's token endpoint for the SSO login
+				'connect-src': ["'self'", 'wss:', 'ws:', () => authConnectSrc()],
 				'object-src': ["'none'"],
 				'base-uri': ["'self'"],
 				'frame-ancestors': ["'none'"],
@@ -136,24 +269,39 @@ const logger = pino({
 	},
 });
 app.use(pinoHttp({ logger }));
-
-// Request rate limiting (protect static and config endpoints)
-const staticLimiter = rateLimit({
-	windowMs: Number(env.HTTP_WINDOW_MS),
-	max: Number(env.HTTP_STATIC_MAX),
-	standardHeaders: true,
-	legacyHeaders: false,
-	// Mirror the Express trust proxy setting to avoid unsafe defaults
-	trustProxy: TRUST_PROXY,
-});
-const configLimiter = rateLimit({
-	windowMs: Number(env.HTTP_WINDOW_MS),
-	max: Number(env.HTTP_CONFIG_MAX),
-	standardHeaders: true,
-	legacyHeaders: false,
-	trustProxy: TRUST_PROXY,
+// Denied, not allowed or banned addresses get nothing, not even static files. The admin API stays
+// reachable for banned addresses (it needs the token anyway) so an operator can undo a ban on their own range.
+app.use((req, res, next) => {
+	const reason = ipRefusal(req.ip);
+	if (!reason || (reason === 'banned' && req.path.startsWith('/admin/api/'))) return next();
+	recordRejection(reason, { ip: req.ip });
+	res.status(403).end();
 });
 
+// Request rate limiting (protect static, config and admin endpoints). Limits are read per request;
+// a new window length rebuilds the limiters, so the wrappers below always call the current ones.
+function makeLimiter(maxKey) {
+	return rateLimit({
+		windowMs: Number(env.HTTP_WINDOW_MS),
+		max: () => Number(env[maxKey]),
+		standardHeaders: true,
+		legacyHeaders: false,
+		// Mirror the Express trust proxy setting to avoid unsafe defaults
+		trustProxy: TRUST_PROXY,
+	});
+}
+function makeLimiters() {
+	return {
+		static: makeLimiter('HTTP_STATIC_MAX'),
+		config: makeLimiter('HTTP_CONFIG_MAX'),
+		admin: makeLimiter('HTTP_CONFIG_MAX'),
+	};
+}
+let limiters = makeLimiters();
+const staticLimiter = (req, res, next) => limiters.static(req, res, next);
+const configLimiter = (req, res, next) => limiters.config(req, res, next);
+const adminLimiter = (req, res, next) => limiters.admin(req, res, next);
+
 // Serve static web app with sensible caching
 const staticDir = path.resolve(process.cwd(), 'web');
 app.get('/', (req, res, next) => {
@@ -163,15 +311,166 @@ app.get('/', (req, res, next) => {
 app.use(staticLimiter, express.static(staticDir, { maxAge: '1d', etag: true, lastModified: true }));
 
 // Health endpoint for load balancers
+// Liveness: the process is up (200 even while draining or without a broker)
 app.get('/healthz', (_req, res) => {
-	res.type('text/plain').send('ok');
+	res.json({
+		status: 'ok',
+		version: VERSION,
+		instance: instanceId,
+		uptime: Math.floor((Date.now() - startedAt) / 1000),
+		draining: !!draining,
+		connections: {
+			sockets: peers.size,
+			sessions: sessions.size,
+			pairs: calcPairs(),
+			rooms: rooms.size,
+			relays: relaySessions.size,
+		},
+	});
+});
+// Readiness: take traffic only while the bus is up and the instance is not draining
+app.get('/readyz', (_req, res) => {
+	const busState = bus.health().state;
+	const ready = busState === 'up' && !draining;
+	res.status(ready ? 200 : 503).json({ ready, draining: !!draining, bus: busState });
+});
+// Signaling bus connectivity; 503 while the broker is unreachable
+app.get('/healthz/bus', (_req, res) => {
+	const health = bus.health();
+	res.status(health.state === 'up' ? 200 : 503).json(health);
 });
 
+let TURN_URLS = splitList(env.TURN_URLS);
+
+// TURN REST API credentials: username "<expiry>:<label>", credential base64(HMAC-SHA1(secret, username))
+function mintTurnCredentials(label) {
+	const expires = Math.floor(Date.now() / 1000) + Number(env.TURN_TTL);
+	const username = `${expires}:${label}`;
+	const credential = crypto.createHmac('sha1', env.TURN_SECRET).update(username).digest('base64');
+	return { urls: TURN_URLS, username, credential, expires };
+}
+
+// SSO (optional): with AUTH_ISSUER set, signaling upgrades must carry a JWT signed by the issuer,
+// either the ID token from the page's OIDC login (authorization code + PKCE, AUTH_CLIENT_ID) or a
+// cookie set by an auth proxy (AUTH_COOKIE). Keys come from the issuer's JWKS.
+const AUTH_ISSUER = env.AUTH_ISSUER;
+let authMeta = {}; // issuer discovery document
+let authSetup = null; // Promise of the JWKS key set; retried after a failure
+
+function authKeys() {
+	if (!authSetup) {
+		authSetup = (async () => {
+			let meta = {};
+			try {
+				const res = await fetch(`${AUTH_ISSUER.replace(/\/$/, '')}/.well-known/openid-configuration`);
+				if (!res.ok) throw new Error(`discovery answered ${res.status}`);
+				meta = await res.json();
+			} catch (err) {
+				// A plain JWT issuer (no OIDC login) only needs AUTH_JWKS_URL
+				if (!env.AUTH_JWKS_URL) throw err;
+			}
+			const jwksUri = env.AUTH_JWKS_URL || meta.jwks_uri;
+			if (!jwksUri) throw new Error('issuer has no jwks_uri (set AUTH_JWKS_URL)');
+			authMeta = meta;
+			return createRemoteJWKSet(new URL(jwksUri));
+		})().catch((err) => {
+			authSetup = null;
+			logger.warn({ err: err.message }, 'auth_discovery_failed');
+			throw err;
+		});
+	}
+	return authSetup;
+}
+if (AUTH_ISSUER) authKeys().catch(() => {});
+
+// The page exchanges the login code itself, so CSP must allow the token endpoint
+function authConnectSrc() {
+	if (!AUTH_ISSUER) return "'self'";
+	try {
+		return new URL(authMeta.token_endpoint || AUTH_ISSUER).origin;
+	} catch {
+		return "'self'";
+	}
+}
+
+function readCookie(req, name) {
+	for (const part of String(req.headers.cookie || '').split(';')) {
+		const i = part.indexOf('=');
+		if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+	}
+	return '';
+}
+
+function authToken(req) {
+	// Browsers cannot set headers on a WebSocket; the page offers the token as subprotocol bearer.<jwt>
+	for (const p of String(req.headers['sec-websocket-protocol'] || '').split(',')) {
+		if (p.trim().startsWith('bearer.')) return p.trim().slice(7);
+	}
+	const auth = String(req.headers.authorization || '');
+	if (auth.startsWith('Bearer ')) return auth.slice(7);
+	return env.AUTH_COOKIE ? readCookie(req, env.AUTH_COOKIE) : '';
+}
+
+// Verified identity of a request: { sub, name }. Throws with a short reason when refused.
+async function authenticate(req) {
+	const token = authToken(req);
+	if (!token) throw new Error('no-token');
+	const { payload } = await jwtVerify(token, await authKeys(), {
+		issuer: AUTH_ISSUER,
+		audience: env.AUTH_AUDIENCE || env.AUTH_CLIENT_ID,
+		clockTolerance: 30,
+	});
+	const domains = splitList(env.AUTH_EMAIL_DOMAINS.toLowerCase());
+	if (domains.length) {
+		const email = typeof payload.email === 'string' ? payload.email.toLowerCase() : '';
+		if (!email || payload.email_verified === false || !domains.includes(email.split('@').pop())) {
+			throw new Error('domain');
+		}
+	}
+	const sub = String(payload.sub || '');
+	if (!sub) throw new Error('no-sub');
+	const claim = payload[env.AUTH_IDENTITY_CLAIM];
+	return { sub, name: cleanName(typeof claim === 'string' ? claim : sub, 100) };
+}
+
 // Config endpoint to provide client with WS path and ICE servers
-app.get('/config', configLimiter, (_req, res) => {
+app.get('/config', configLimiter, async (req, res) => {
 	let iceServers = Array.isArray(env.ICE_SERVERS) ? env.ICE_SERVERS : [{ urls: ['stun:stun.l.google.com:19302'] }];
 	const iceTransportPolicy = env.ICE_FORCE_RELAY ? 'relay' : 'all';
-	res.json({ wsPath: WS_PATH, iceServers, iceTransportPolicy });
+	const body = { wsPath: WS_PATH, iceServers, iceTransportPolicy, qrLevel: env.QR_EC_LEVEL };
+	// With SSO, TURN credentials are only minted for signed-in pages
+	let signedIn = true;
+	if (AUTH_ISSUER) {
+		await authKeys().catch(() => {});
+		signedIn = await authenticate(req).then(
+			() => true,
+			() => false,
+		);
+		body.auth = { required: true };
+		if (env.AUTH_CLIENT_ID && authMeta.authorization_endpoint && authMeta.token_endpoint) {
+			body.auth.oidc = {
+				clientId: env.AUTH_CLIENT_ID,
+				scopes: env.AUTH_SCOPES,
+				authorizationEndpoint: authMeta.authorization_endpoint,
+				tokenEndpoint: authMeta.token_endpoint,
+			};
+		}
+		res.set('Cache-Control', 'no-store');
+	}
+	if (signedIn && env.TURN_SECRET && TURN_URLS.length) {
+		// Only well-formed codes are bound; anything else gets a random label
+		const peer = String(req.query.peer || '').toUpperCase();
+		const bound = env.TURN_BIND_PEER && /^[A-Z0-9]{6}$/.test(peer);
+		const { expires, ...turn } = mintTurnCredentials(bound ? peer : crypto.randomUUID().slice(0, 8));
+		body.iceServers = [...iceServers, turn];
+		body.iceCredentialExpires = expires * 1000;
+		turnCredentialsCounter.inc({ bound: bound ? 'peer' : 'anonymous' });
+		// Credentials must never be cached by the browser or a proxy
+		res.set('Cache-Control', 'no-store');
+	}
+	if (env.RELAY_ENABLED) body.relay = { path: RELAY_PATH, maxBytes: Number(env.RELAY_MAX_BYTES) };
+	if (env.METRICS_ENABLED) body.reportOutcomes = true;
+	res.json(body);
 });
 
 // Prometheus metrics
@@ -192,10 +491,132 @@ const wsSignalsCounter = new client.Counter({
 });
 const wsErrorsCounter = new client.Counter({
 	name: 'ws_errors_total',
-	help: 'WebSocket errors/invalid',
+	help: 'WebSocket messages dropped or rejected, by reason',
+	labelNames: ['reason'],
+	registers: [register],
+});
+const wsUpgradeRejectedCounter = new client.Counter({
+	name: 'ws_upgrade_rejected_total',
+	help: 'Refused WebSocket upgrades, by reason',
+	labelNames: ['reason'],
+	registers: [register],
+});
+const pairLatency = new client.Histogram({
+	name: 'ws_pair_seconds',
+	help: 'Time from a relayed offer to its answer',
+	buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60],
+	registers: [register],
+});
+const busSignalsCounter = new client.Counter({
+	name: 'bus_signals_total',
+	help: 'Cross-instance messages: publish, publish_error, deliver (to a local peer), miss (peer offline)',
+	labelNames: ['op'],
+	registers: [register],
+});
+const busQueueDroppedCounter = new client.Counter({
+	name: 'bus_queue_dropped_total',
+	help: 'Publishes queued during a bus outage and then dropped, by reason (overflow, stale, error)',
+	labelNames: ['reason'],
+	registers: [register],
+});
+const auditEventsCounter = new client.Counter({
+	name: 'audit_events_total',
+	help: 'Audit events emitted',
+	labelNames: ['event'],
+	registers: [register],
+});
+const auditWebhookFailuresCounter = new client.Counter({
+	name: 'audit_webhook_failures_total',
+	help: 'Failed audit webhook deliveries (retried)',
+	registers: [register],
+});
+const auditDroppedCounter = new client.Counter({
+	name: 'audit_webhook_dropped_total',
+	help: 'Audit events dropped because the webhook queue was full',
+	registers: [register],
+});
+const clientOutcomesCounter = new client.Counter({
+	name: 'client_outcomes_total',
+	help: 'Connection outcomes reported by browsers',
+	labelNames: ['outcome'],
+	registers: [register],
+});
+const wsRoomsGauge = new client.Gauge({
+	name: 'ws_rooms',
+	help: 'Group rooms with a member on this instance',
+	registers: [register],
+});
+const turnCredentialsCounter = new client.Counter({
+	name: 'turn_credentials_issued_total',
+	help: 'Ephemeral TURN credentials minted by /config',
+	labelNames: ['bound'],
+	registers: [register],
+});
+const relaySessionsGauge = new client.Gauge({
+	name: 'relay_sessions',
+	help: 'Active server-relayed transfer sessions',
+	registers: [register],
+});
+const relaySessionsCounter = new client.Counter({
+	name: 'relay_sessions_total',
+	help: 'Finished relay sessions by reason',
+	labelNames: ['reason'],
+	registers: [register],
+});
+const relayBytesCounter = new client.Counter({
+	name: 'relay_bytes_total',
+	help: 'Bytes forwarded through the relay fallback',
+	registers: [register],
+});
+const configReloadsCounter = new client.Counter({
+	name: 'config_reloads_total',
+	help: 'Settings reloads by result (ok/rejected)',
+	labelNames: ['result'],
+	registers: [register],
+});
+const configReloadGauge = new client.Gauge({
+	name: 'config_last_reload_timestamp_seconds',
+	help: 'Unix time of the last applied settings reload',
 	registers: [register],
 });
 
+// Signaling bus (see src/bus/index.js); connects in the background, state ops fail fast until it is up
+const BUS = env.BUS || (env.REDIS_URL || env.REDIS_SENTINELS ? 'redis' : 'memory');
+const bus = createBus({
+	adapter: BUS,
+	offline: env.BUS_OFFLINE,
+	queueMax: Number(env.BUS_QUEUE_MAX),
+	queueMs: Number(env.BUS_QUEUE_MS),
+	logger,
+	onDrop: (n, reason) => busQueueDroppedCounter.inc({ reason }, n),
+	instanceId,
+	ttlSec: PEER_TTL,
+	url: env.REDIS_URL,
+	mode: env.REDIS_MODE,
+	sentinels: splitList(env.REDIS_SENTINELS),
+	sentinelName: env.REDIS_SENTINEL_NAME,
+	prefix: BUS === 'nats' ? env.NATS_PREFIX : env.REDIS_PREFIX,
+	servers: splitList(env.NATS_URL),
+});
+bus.connect();
+new client.Gauge({
+	name: 'bus_up',
+	help: 'Whether the signaling bus is connected (1) or not (0)',
+	labelNames: ['adapter'],
+	registers: [register],
+	collect() {
+		this.set({ adapter: bus.name }, bus.health().state === 'up' ? 1 : 0);
+	},
+});
+new client.Gauge({
+	name: 'bus_queue_length',
+	help: 'Publishes waiting for the bus to come back',
+	registers: [register],
+	collect() {
+		this.set(bus.health().queued);
+	},
+});
+
 app.get('/metrics', async (req, res) => {
 	if (!env.METRICS_ENABLED) return res.status(404).end();
 	// Optional bearer auth for metrics exposure
@@ -213,9 +634,95 @@ app.get('/metrics', async (req, res) => {
 	}
 });
 
+// Browsers report how their connection attempts ended (only while metrics are enabled)
+const CLIENT_OUTCOMES = new Set(['connected', 'ice-failed', 'relay-used']);
+app.post('/metrics/client', configLimiter, express.json({ limit: '1kb' }), (req, res) => {
+	if (!env.METRICS_ENABLED) return res.status(404).end();
+	const outcome = String(req.body?.outcome || '');
+	if (!CLIENT_OUTCOMES.has(outcome)) return res.status(400).end();
+	clientOutcomesCounter.inc({ outcome });
+	res.status(204).end();
+});
+
+// Admin API (disabled unless ADMIN_TOKEN is set): live connections, force-disconnect, IP bans and
+// recent rejections. State is per instance; with Redis each instance answers for its own peers.
+function adminAuth(req, res, next) {
+	if (!env.ADMIN_TOKEN) return res.status(404).end();
+	const expected = Buffer.from(`Bearer ${env.ADMIN_TOKEN}`);
+	const given = Buffer.from(String(req.headers['authorization'] || ''));
+	if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+		recordRejection('admin-auth', { ip: req.ip });
+		return res.status(401).set('WWW-Authenticate', 'Bearer').end();
+	}
+	res.set('Cache-Control', 'no-store');
+	next();
+}
+app.use('/admin/api', adminLimiter, adminAuth, express.json({ limit: '4kb' }));
+
+app.get('/admin/api/connections', (_req, res) => {
+	const connections = [...sessions.entries()].map(([id, s]) => ({
+		id,
+		instance: instanceId,
+		state: peers.has(id) ? 'online' : 'parked',
+		since: s.since,
+		partner: partner.get(id) || null,
+		room: roomOf.get(id) || null,
+		identity: s.identity?.name || null,
+		ipBucket: ipBucket(s.ip),
+	}));
+	res.json({ instance: instanceId, connections });
+});
+
+app.delete('/admin/api/connections/:id', (req, res) => {
+	const id = String(req.params.id).toUpperCase();
+	if (!sessions.has(id)) return res.status(404).json({ error: 'not-found' });
+	kickPeer(id, 'kicked');
+	logger.info({ id }, 'admin_kick');
+	res.json({ ok: true, id });
+});
+
+app.get('/admin/api/bans', (_req, res) => {
+	res.json({ bans: listBans() });
+});
+
+app.post('/admin/api/bans', (req, res) => {
+	const target = String(req.body?.target || '').trim();
+	const seconds = Number(req.body?.seconds ?? 3600);
+	if (!Number.isFinite(seconds) || seconds <= 0) return res.status(400).json({ error: 'invalid-duration' });
+	const ban = addBan(target, seconds * 1000, String(req.body?.reason || '').slice(0, 200));
+	if (!ban) return res.status(400).json({ error: 'invalid-target' });
+	logger.info({ target: ban.target, until: ban.until }, 'admin_ban');
+	res.status(201).json(ban);
+});
+
+app.delete('/admin/api/bans', (req, res) => {
+	const target = String(req.query.target || '');
+	if (!bans.delete(target)) return res.status(404).json({ error: 'not-found' });
+	logger.info({ target }, 'admin_unban');
+	res.json({ ok: true, target });
+});
+
+app.get('/admin/api/rejections', (_req, res) => {
+	res.json({ rejections: rejections.slice().reverse() });
+});
+
+// Start draining without exiting (e.g. from a preStop hook); the process keeps running until stopped
+app.post('/admin/api/drain', (_req, res) => {
+	startDrain('admin');
+	res.status(202).json({ draining: true, deadline: new Date(draining.deadline).toISOString() });
+});
+
 // In-memory peer registry (ephemeral). Not persisted; no files stored.
 const peers = new Map(); // id -> ws
 const partner = new Map(); // id -> partnerId or null
+// Group rooms live on the bus (code, members); these mirror the rooms that have a member here
+const rooms = new Map(); // roomCode -> Set of member ids
+const roomOf = new Map(); // local id -> roomCode
+let ROOM_MAX_PEERS = Number(env.ROOM_MAX_PEERS);
+// Sessions outlive their socket for RESUME_GRACE_MS so a reconnect can reclaim the code
+const sessions = new Map(); // id -> { token, parkTimer }
+const resumeIndex = new Map(); // resume token -> id
+let RESUME_GRACE_MS = Number(env.RESUME_GRACE_MS);
 
 function send(ws, msg) {
 	try {
@@ -223,6 +730,942 @@ function send(ws, msg) {
 	} catch {}
 }
 
+// Generate a short, human-friendly ID (unambiguous uppercase base32 set)
+const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // no I, L, O, 0, 1
+function genId(len = 6) {
+	const bytes = crypto.randomBytes(len);
+	let s = '';
+	for (let i = 0; i < len; i++) s += alphabet[bytes[i] % alphabet.length];
+	return s;
+}
+
+// Reserve a unique ID: locally, and on the bus so no two instances hand out the same code
+async function allocateId() {
+	for (;;) {
+		const id = genId(6);
+		if (sessions.has(id)) continue;
+		try {
+			if (await bus.claimPeer(id)) return id;
+		} catch (err) {
+			// Broker unavailable: local uniqueness is the best we can do
+			logger.warn({ err: err.message }, 'bus_id_reserve_failed');
+			return id;
+		}
+	}
+}
+
+// Busy locking: one active pairing per peer. Returns 'ok', 'busy' (reject offer) or 'drop'.
+// mirrorOnly applies the state change without checks (Redis already decided).
+function pairLocal(from, to, kind, mirrorOnly = false) {
+	const pFrom = partner.get(from) || null;
+	const pTo = partner.get(to) || null;
+	const conflict = (pFrom && pFrom !== to) || (pTo && pTo !== from);
+	// Only local (live or parked) peers live in the partner map; remote ones are tracked in Redis
+	const set = (a, b) => {
+		if (sessions.has(a)) partner.set(a, b);
+	};
+	if (kind === 'offer') {
+		// If either side is busy with someone else, reject
+		if (conflict && !mirrorOnly) return 'busy';
+		// Mark caller as dialing callee
+		set(from, to);
+	}
+	if (kind === 'answer') {
+		// Lock both sides together; on conflict one side switched, drop
+		if (conflict && !mirrorOnly) return 'drop';
+		set(from, to);
+		set(to, from);
+	}
+	if (kind === 'bye') {
+		// Release both sides
+		if (pFrom === to) set(from, null);
+		if (pTo === from) set(to, null);
+	}
+	// Only relay candidates if they belong to current pairing
+	if (kind === 'candidate' && !mirrorOnly) {
+		if (!(pFrom === to || pTo === from || (pFrom === null && pTo === null))) return 'drop';
+	}
+	// ICE restarts (a restart request or a restart offer) only within an established pairing
+	if (kind === 'restart' && !mirrorOnly && !(pFrom === to && pTo === from)) return 'drop';
+	return 'ok';
+}
+
+// The bus decides (atomically across instances where the adapter can); the local map mirrors it
+async function pairSignal(from, to, kind) {
+	try {
+		const res = await bus.pairSignal(from, to, kind);
+		if (res === 'ok') pairLocal(from, to, kind, true);
+		return res;
+	} catch (err) {
+		// Broker unavailable: lock against what this instance knows
+		logger.warn({ err: err.message }, 'bus_pairing_failed');
+	}
+	return pairLocal(from, to, kind);
+}
+
+// Whether a code belongs to a live peer on another instance (throws while the bus is down)
+async function isRemotePeer(id) {
+	return bus.hasPeer(id);
+}
+
+// Deliver a relayed message to a local peer, or publish it for the owning instance
+function deliver(to, msg) {
+	const dest = peers.get(to);
+	if (dest) return send(dest, msg);
+	if (sessions.has(to)) return notifyNotFound(to, msg);
+	busSignalsCounter.inc({ op: 'publish' });
+	bus.publish({ to, ...msg }).catch((err) => {
+		busSignalsCounter.inc({ op: 'publish_error' });
+		// Tell the sender its signal did not go out (BUS_OFFLINE=fail, or the broker refused it)
+		if (msg.type === 'signal' && peers.has(msg.from)) {
+			send(peers.get(msg.from), {
+				type: 'error',
+				code: 'unavailable',
+				reason: 'bus-unavailable',
+				to,
+				kind: msg.payload?.type,
+			});
+		}
+		logger.warn({ err: err.message }, 'bus_publish_failed');
+	});
+}
+
+// A signal reached the owner of a parked code (socket gone, session held for resumption);
+// tell the sender instead of dropping it silently. Teardown signals need no answer.
+function notifyNotFound(to, msg) {
+	const kind = msg.payload?.type;
+	if (msg.type !== 'signal' || typeof msg.from !== 'string' || kind === 'bye' || kind === 'busy') return;
+	deliver(msg.from, { type: 'peer-not-found', peer: to, kind });
+}
+
+// Tell the 1:1 partner that this peer's socket closed ('offline', may still resume) or that its
+// session ended ('gone'). Room members hear about it through room-peer-left instead.
+function notifyPeerLeft(id, reason) {
+	const p = partner.get(id);
+	if (p) deliver(p, { type: 'peer-left', peer: id, reason });
+}
+
+// Offers seen by the callee's instance, for the offer -> answer histogram
+const pendingOffers = new Map(); // "caller>callee" -> ms timestamp
+function trackOffer(from, to) {
+	pendingOffers.set(`${from}>${to}`, Date.now());
+}
+function observeAnswer(caller, callee) {
+	const key = `${caller}>${callee}`;
+	const at = pendingOffers.get(key);
+	if (at === undefined) return;
+	pendingOffers.delete(key);
+	pairLatency.observe((Date.now() - at) / 1000);
+}
+function forgetOffers(id) {
+	for (const key of pendingOffers.keys()) {
+		if (key.startsWith(`${id}>`) || key.endsWith(`>${id}`)) pendingOffers.delete(key);
+	}
+}
+
+// Issue (or rotate) the resume token for a session
+function issueResumeToken(id) {
+	const prev = sessions.get(id);
+	if (prev) resumeIndex.delete(prev.token);
+	const token = crypto.randomBytes(24).toString('base64url');
+	sessions.set(id, {
+		token,
+		parkTimer: null,
+		since: prev?.since || Date.now(),
+		ip: prev?.ip || '',
+		identity: prev?.identity || null,
+	});
+	resumeIndex.set(token, id);
+	return token;
+}
+
+// Reclaim a parked (or half-open) session from the ?resume= token on the upgrade URL
+function takeResume(req) {
+	let token = '';
+	try {
+		token = new URL(req.url, 'http://localhost').searchParams.get('resume') || '';
+	} catch {}
+	const id = token ? resumeIndex.get(token) : null;
+	const session = id ? sessions.get(id) : null;
+	if (!session || session.token !== token) return null;
+	// With SSO a code only goes back to the account that held it
+	if (session.identity && session.identity.sub !== req.identity?.sub) return null;
+	clearTimeout(session.parkTimer);
+	session.parkTimer = null;
+	// The old socket may still look alive (e.g. phone switched networks); it is superseded
+	const old = peers.get(id);
+	if (old) {
+		peers.delete(id);
+		try {
+			old.close(4000, 'replaced');
+		} catch {}
+	}
+	return id;
+}
+
+// Socket gone: hold the code and pairing for the grace window, then clean up
+function parkSession(id) {
+	const session = sessions.get(id);
+	if (!session || RESUME_GRACE_MS <= 0) return endSession(id);
+	session.parkTimer = setTimeout(() => endSession(id), RESUME_GRACE_MS);
+	session.parkTimer.unref();
+}
+
+function endSession(id) {
+	const session = sessions.get(id);
+	if (session) {
+		audit('session-end', { id, since: session.since });
+		clearTimeout(session.parkTimer);
+		resumeIndex.delete(session.token);
+		sessions.delete(id);
+	}
+	notifyPeerLeft(id, 'gone');
+	leaveRoom(id);
+	clearKnock(id);
+	endRelaysOf(id);
+	forgetOffers(id);
+	bus.get(`consent:${id}`)
+		.then((c) => c && revokeConsent(id, c))
+		.catch(() => {});
+	const p = partner.get(id) || null;
+	partner.delete(id);
+	if (p && partner.get(p) === id) partner.set(p, null);
+	setImmediate(() => wsPairsGauge.set(calcPairs()));
+	// Release ID and pairing lock on the bus
+	releasePeer(id);
+}
+
+// Connection consent ("knock"): the caller asks, the callee accepts or declines, and only then
+// are 1:1 offer/answer/candidate relayed. consent:<id> holds the one peer id may signal with.
+// Knock and consent keys live on the bus; del() resolves to 1 if the key existed (an atomic "take").
+let KNOCK_TIMEOUT_MS = Number(env.KNOCK_TIMEOUT_MS);
+// Consent keys share the peer lease (renewed with it) and go away with bye/close
+const CONSENT_TTL_MS = PEER_TTL * 1000;
+const knocks = new Map(); // callerId -> { to, timer } (timers live on the caller's instance)
+
+// Verified SSO identity of a local peer (shown to the other side); undefined, so left out of frames, without SSO
+function identityOf(id) {
+	return sessions.get(id)?.identity?.name || undefined;
+}
+
+function cleanName(name, max = 40) {
+	if (typeof name !== 'string') return '';
+	return name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, max);
+}
+
+async function isBusy(id, except) {
+	if (roomOf.has(id) || (!sessions.has(id) && (await bus.roomOf(id)))) return true;
+	let p = partner.get(id) || null;
+	if (!p) p = await bus.partnerOf(id);
+	return !!p && p !== except;
+}
+
+async function hasConsent(from, to) {
+	return (await bus.get(`consent:${from}`)) === to;
+}
+
+async function revokeConsent(a, b) {
+	if ((await bus.get(`consent:${a}`)) === b) await bus.del(`consent:${a}`);
+	if ((await bus.get(`consent:${b}`)) === a) await bus.del(`consent:${b}`);
+}
+
+function clearKnock(callerId) {
+	const k = knocks.get(callerId);
+	if (!k) return null;
+	clearTimeout(k.timer);
+	knocks.delete(callerId);
+	return k;
+}
+
+async function handleKnock(ws, id, type, to, msg) {
+	if (type === 'knock') {
+		const exists = to !== id && (sessions.has(to) || (await isRemotePeer(to)));
+		if (!exists) return send(ws, { type: 'knock-result', peer: to, result: 'not-found' });
+		if ((await isBusy(to, id)) || (await isBusy(id, to))) {
+			return send(ws, { type: 'knock-result', peer: to, result: 'busy' });
+		}
+		// One pending request per caller; a new one replaces the previous
+		const prev = clearKnock(id);
+		if (prev && (await bus.del(`knock:${id}>${prev.to}`)) === 1) {
+			deliver(prev.to, { type: 'knock-result', peer: id, result: 'cancelled' });
+		}
+		await bus.set(`knock:${id}>${to}`, '1', KNOCK_TIMEOUT_MS);
+		const timer = setTimeout(() => {
+			if (knocks.get(id)?.to === to) knocks.delete(id);
+			bus.del(`knock:${id}>${to}`)
+				.then((n) => {
+					if (n !== 1) return; // already answered or cancelled
+					deliver(id, { type: 'knock-result', peer: to, result: 'timeout' });
+					deliver(to, { type: 'knock-result', peer: id, result: 'timeout' });
+				})
+				.catch(() => {});
+		}, KNOCK_TIMEOUT_MS);
+		timer.unref();
+		knocks.set(id, { to, timer });
+		deliver(to, { type: 'knock', from: id, name: cleanName(msg.name), identity: identityOf(id) });
+		return;
+	}
+	if (type === 'knock-reply') {
+		// Here `to` is the caller; the pending request must still exist (not expired or forged)
+		if ((await bus.del(`knock:${to}>${id}`)) !== 1) return;
+		const accepted = msg.accept === true;
+		if (accepted) {
+			await bus.set(`consent:${id}`, to, CONSENT_TTL_MS);
+			await bus.set(`consent:${to}`, id, CONSENT_TTL_MS);
+		}
+		const result = accepted ? 'accepted' : msg.busy === true ? 'busy' : 'declined';
+		deliver(to, { type: 'knock-result', peer: id, result, identity: accepted ? identityOf(id) : undefined });
+		return;
+	}
+	if (type === 'knock-cancel') {
+		clearKnock(id);
+		if ((await bus.del(`knock:${id}>${to}`)) !== 1) return;
+		deliver(to, { type: 'knock-result', peer: id, result: 'cancelled' });
+	}
+}
+
+// Notify every member of a room except the given id: ours directly, other instances' over the bus
+function broadcastRoom(room, msg, exceptId) {
+	fanOutRoom(room, msg, exceptId);
+	busSignalsCounter.inc({ op: 'publish' });
+	bus.publish({ toRoom: room, except: exceptId, origin: instanceId, msg }).catch((err) => {
+		busSignalsCounter.inc({ op: 'publish_error' });
+		logger.warn({ err: err.message }, 'bus_publish_failed');
+	});
+}
+
+// Apply a room notice to the local mirror and pass it to this instance's members of the room
+function fanOutRoom(room, msg, exceptId) {
+	const members = rooms.get(room);
+	if (!members) return;
+	if (msg.type === 'room-peer-joined') members.add(msg.id);
+	if (msg.type === 'room-peer-left') members.delete(msg.id);
+	for (const m of members) {
+		if (m !== exceptId && roomOf.get(m) === room) send(peers.get(m), msg);
+	}
+}
+
+// Record a membership the bus accepted and tell the room
+function joinRoom(id, room, others) {
+	rooms.set(room, new Set([...(rooms.get(room) || []), ...others, id]));
+	roomOf.set(id, room);
+	broadcastRoom(room, { type: 'room-peer-joined', room, id }, id);
+	wsRoomsGauge.set(rooms.size);
+}
+
+function leaveRoom(id) {
+	const room = roomOf.get(id);
+	if (!room) return null;
+	roomOf.delete(id);
+	rooms.get(room)?.delete(id);
+	broadcastRoom(room, { type: 'room-peer-left', room, id });
+	if (![...roomOf.values()].includes(room)) rooms.delete(room);
+	wsRoomsGauge.set(rooms.size);
+	bus.leaveRoom(room, id).catch((err) => logger.warn({ id, room, err: err.message }, 'bus_room_leave_failed'));
+	return room;
+}
+
+// Relay fallback: when ICE fails, two consenting 1:1 peers may stream the regular file protocol
+// through this server instead. Frames are forwarded as-is and never stored; each session has a
+// byte quota, a bandwidth cap and an idle timeout. Sessions are local to this instance.
+let RELAY_MAX_BYTES = Number(env.RELAY_MAX_BYTES);
+let RELAY_BPS = Math.max(1024, Number(env.RELAY_BPS));
+let RELAY_IDLE_MS = Number(env.RELAY_IDLE_MS);
+const relaySessions = new Map(); // "a|b" (sorted) -> session
+const relayTokens = new Map(); // token -> { session, peer }
+
+function relayKey(a, b) {
+	return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+async function handleRelayRequest(ws, id, to) {
+	const fail = (reason) => send(ws, { type: 'relay-error', peer: to, reason });
+	if (!env.RELAY_ENABLED) return fail('disabled');
+	// Same gate as 1:1 signaling: only a pair that went through an accepted knock
+	if (roomOf.has(id) || !(await hasConsent(id, to))) return fail('forbidden');
+	if (!peers.has(to)) return fail('unavailable'); // both sockets must reach this instance
+	const key = relayKey(id, to);
+	let session = relaySessions.get(key);
+	if (!session) {
+		session = { key, tokens: new Map(), sockets: new Map(), bytes: 0, bucket: RELAY_BPS, last: Date.now() };
+		for (const peer of [id, to]) {
+			const token = crypto.randomBytes(24).toString('base64url');
+			session.tokens.set(peer, token);
+			relayTokens.set(token, { session, peer });
+		}
+		relaySessions.set(key, session);
+		touchRelay(session);
+		relaySessionsGauge.set(relaySessions.size);
+		send(peers.get(to), relayReady(session, to, id));
+	}
+	// Both sides usually notice the ICE failure; the second request gets the same session
+	send(ws, relayReady(session, id, to));
+}
+
+function relayReady(session, self, other) {
+	const token = session.tokens.get(self);
+	return { type: 'relay-ready', peer: other, token, path: RELAY_PATH, maxBytes: RELAY_MAX_BYTES };
+}
+
+function touchRelay(session) {
+	clearTimeout(session.idleTimer);
+	session.idleTimer = setTimeout(() => endRelay(session, 'idle'), RELAY_IDLE_MS);
+	session.idleTimer.unref();
+}
+
+function endRelay(session, reason, code = 1000) {
+	if (relaySessions.get(session.key) !== session) return;
+	relaySessions.delete(session.key);
+	clearTimeout(session.idleTimer);
+	for (const token of session.tokens.values()) relayTokens.delete(token);
+	for (const sock of session.sockets.values()) {
+		try {
+			// A throttled sender must read again to complete the close handshake
+			sock.resume();
+			sock.close(code, reason);
+		} catch {}
+	}
+	relaySessionsCounter.inc({ reason });
+	relaySessionsGauge.set(relaySessions.size);
+}
+
+// A peer's session ended: drop any relay it takes part in
+function endRelaysOf(id) {
+	for (const session of [...relaySessions.values()]) {
+		if (session.tokens.has(id)) endRelay(session, 'closed');
+	}
+}
+
+// Bandwidth cap: a token bucket in bytes per session. How long the sender must wait before reading more.
+function relayWait(session, dest) {
+	const now = Date.now();
+	session.bucket = Math.min(RELAY_BPS, session.bucket + ((now - session.last) / 1000) * RELAY_BPS);
+	session.last = now;
+	let wait = session.bucket < 0 ? Math.ceil((-session.bucket / RELAY_BPS) * 1000) : 0;
+	// Slow receiver: hold the sender instead of buffering in server memory
+	if (dest.bufferedAmount > 4 * 1024 * 1024) wait = Math.max(wait, 50);
+	return wait;
+}
+
+// Keep a paused sender paused until the budget is back (frames already read still count)
+function holdRelay(session, sock, dest) {
+	const wait = relayWait(session, dest);
+	if (sock.readyState !== sock.OPEN) return;
+	if (wait <= 0) return sock.resume();
+	setTimeout(() => holdRelay(session, sock, dest), wait).unref();
+}
+
+function onRelayConnection(sock, req) {
+	let token = '';
+	try {
+		token = new URL(req.url, 'http://localhost').searchParams.get('token') || '';
+	} catch {}
+	const entry = relayTokens.get(token);
+	if (!entry) {
+		recordRejection('relay-token', { ip: clientIp(req) });
+		try {
+			sock.close(1008, 'invalid');
+		} catch {}
+		return;
+	}
+	const { session, peer } = entry;
+	// With SSO the token only works for the account it was handed to
+	if (AUTH_ISSUER && sessions.get(peer)?.identity?.sub !== req.identity?.sub) {
+		recordRejection('relay-token', { ip: clientIp(req), id: peer });
+		try {
+			sock.close(1008, 'invalid');
+		} catch {}
+		return;
+	}
+	const other = [...session.tokens.keys()].find((p) => p !== peer);
+	session.sockets.set(peer, sock);
+	// Tokens are single use
+	relayTokens.delete(token);
+	if (session.sockets.size === 2) {
+		for (const s of session.sockets.values()) send(s, { type: 'relay-open' });
+	}
+	sock.on('message', (data, isBinary) => {
+		const size = data.length;
+		session.bytes += size;
+		relayBytesCounter.inc(size);
+		if (session.bytes > RELAY_MAX_BYTES) {
+			recordRejection('relay-quota', { id: peer });
+			return endRelay(session, 'quota', 1008);
+		}
+		touchRelay(session);
+		const dest = session.sockets.get(other);
+		if (!dest || dest.readyState !== dest.OPEN) return;
+		dest.send(data, { binary: isBinary });
+		session.bucket -= size;
+		if (!sock.isPaused && relayWait(session, dest) > 0) {
+			sock.pause();
+			holdRelay(session, sock, dest);
+		}
+	});
+	sock.on('close', () => {
+		if (session.sockets.get(peer) === sock) endRelay(session, 'closed');
+	});
+}
+relayWss.on('connection', onRelayConnection);
+
+// Client addresses. X-Forwarded-For is only believed for TRUST_PROXY_HOPS proxies: walking back
+// from the socket peer, each trusted hop vouches for the entry before it.
+function normalizeIp(ip) {
+	const s = String(ip || '').trim();
+	return s.startsWith('::ffff:') && net.isIPv4(s.slice(7)) ? s.slice(7) : s;
+}
+
+function clientIp(req) {
+	const chain = String(req.headers['x-forwarded-for'] || '')
+		.split(',')
+		.map((s) => s.trim())
+		.filter(Boolean);
+	chain.push(req.socket.remoteAddress || '');
+	const ip = normalizeIp(chain[Math.max(0, chain.length - 1 - TRUST_PROXY_HOPS)]);
+	return net.isIP(ip) ? ip : normalizeIp(req.socket.remoteAddress);
+}
+
+// The eight 16-bit groups of an IPv6 address (handles "::" and a dotted IPv4 tail)
+function ipv6Groups(addr) {
+	let s = addr.split('%')[0];
+	const v4 = s.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+	if (v4) {
+		const [a, b, c, d] = v4.slice(1).map(Number);
+		s = s.slice(0, v4.index) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+	}
+	const [head, tail] = s.split('::');
+	const h = head ? head.split(':') : [];
+	const t = tail ? tail.split(':') : [];
+	const fill = tail === undefined ? [] : Array(8 - h.length - t.length).fill('0');
+	return [...h, ...fill, ...t].map((g) => parseInt(g, 16).toString(16));
+}
+
+// A client's network: IPv4 address, or IPv6 /64 (one subscriber usually owns a whole /64)
+function connBucket(ip) {
+	const addr = normalizeIp(ip);
+	if (net.isIPv6(addr)) return ipv6Groups(addr).slice(0, 4).join(':') + '::/64';
+	return addr;
+}
+
+// Coarse client network for display: /24 for IPv4, /48 for IPv6
+function ipBucket(ip) {
+	const addr = normalizeIp(ip);
+	if (net.isIPv4(addr)) return addr.split('.').slice(0, 3).join('.') + '.0/24';
+	if (net.isIPv6(addr)) return ipv6Groups(addr).slice(0, 3).join(':') + '::/48';
+	return null;
+}
+
+function ipType(addr) {
+	return net.isIPv4(addr) ? 'ipv4' : 'ipv6';
+}
+
+// Add "addr" or "addr/prefix" to a BlockList; returns the normalized key, or null if invalid
+function addCidr(list, target) {
+	const [addr, bits, extra] = String(target).trim().split('/');
+	const family = net.isIP(addr);
+	if (!family || extra !== undefined) return null;
+	const max = family === 4 ? 32 : 128;
+	const prefix = bits === undefined ? max : Number(bits);
+	if (bits === '' || !Number.isInteger(prefix) || prefix < 0 || prefix > max) return null;
+	list.addSubnet(addr, prefix, ipType(addr));
+	return prefix === max ? addr : `${addr}/${prefix}`;
+}
+
+function inList(list, ip) {
+	const addr = normalizeIp(ip);
+	return !!net.isIP(addr) && list.check(addr, ipType(addr));
+}
+
+// Static allow/deny lists from the settings; bad entries fail validation (startup or reload)
+function parseIpList(spec, name) {
+	const entries = splitList(spec);
+	if (!entries.length) return null;
+	const list = new net.BlockList();
+	for (const entry of entries) {
+		if (!addCidr(list, entry)) throw new Error(`invalid ${name} entry "${entry}" (expected an IP or CIDR)`);
+	}
+	return list;
+}
+let ipAllowList = parseIpList(env.IP_ALLOW, 'IP_ALLOW');
+let ipDenyList = parseIpList(env.IP_DENY, 'IP_DENY');
+
+// Why an address may not use the service (null when it may)
+function ipRefusal(ip) {
+	if (ipDenyList && inList(ipDenyList, ip)) return 'denied';
+	if (ipAllowList && !inList(ipAllowList, ip)) return 'not-allowed';
+	if (isBanned(ip)) return 'banned';
+	return null;
+}
+
+// IP bans (admin API, auto-ban): exact addresses or CIDR ranges with an expiry
+const bans = new Map(); // normalized target -> { target, until, reason, list: BlockList }
+
+function addBan(target, ms, reason) {
+	const list = new net.BlockList();
+	const key = addCidr(list, target);
+	if (!key) return null;
+	const ban = { target: key, until: Date.now() + ms, reason };
+	bans.set(key, { ...ban, list });
+	// Drop live connections from the banned range
+	for (const [id, ws] of peers) {
+		if (inList(list, ws._ip)) kickPeer(id, 'banned');
+	}
+	return ban;
+}
+
+function isBanned(ip) {
+	if (!bans.size) return false;
+	const now = Date.now();
+	for (const [key, ban] of bans) {
+		if (ban.until <= now) {
+			bans.delete(key);
+			continue;
+		}
+		if (inList(ban.list, ip)) return true;
+	}
+	return false;
+}
+
+function listBans() {
+	isBanned('0.0.0.0'); // sweep expired entries
+	return [...bans.values()].map(({ target, until, reason }) => ({ target, until, reason }));
+}
+
+// Auto-ban a client network that keeps getting closed by the message rate limiter
+const rateCloses = new Map(); // conn bucket -> timestamps of recent rate-limit closes
+function noteRateClose(ip) {
+	const limit = Number(env.AUTOBAN_RATE_CLOSES);
+	if (limit <= 0) return;
+	const key = connBucket(ip);
+	if (!key) return;
+	const now = Date.now();
+	const recent = (rateCloses.get(key) || []).filter((t) => now - t < Number(env.AUTOBAN_WINDOW_MS));
+	recent.push(now);
+	if (recent.length < limit) {
+		if (rateCloses.size > 10_000) rateCloses.clear();
+		rateCloses.set(key, recent);
+		return;
+	}
+	rateCloses.delete(key);
+	const ban = addBan(key, Number(env.AUTOBAN_SECONDS) * 1000, 'auto: repeated rate limiting');
+	if (!ban) return;
+	logger.warn({ target: ban.target, until: ban.until }, 'auto_ban');
+	audit('auto-ban', { ipHash: hashIp(ip), until: ban.until });
+}
+
+// Recent rejections (newest last) for the admin API
+const rejections = [];
+function recordRejection(reason, detail = {}) {
+	rejections.push({ at: Date.now(), reason, ...detail, ip: detail.ip ? ipBucket(detail.ip) : undefined });
+	if (rejections.length > 200) rejections.shift();
+}
+
+// Draining for zero-downtime deploys: refuse new signaling sockets, tell every client to move to
+// another instance and close the idle ones at once. Sockets in a 1:1 pair, a room with others or a
+// relay stay until that ends or DRAIN_TIMEOUT_MS passes. Resolves when no socket is left.
+let draining = null; // { trigger, deadline, done }
+
+function inUse(id) {
+	if (partner.get(id)) return true;
+	const room = rooms.get(roomOf.get(id));
+	if (room && room.size > 1) return true;
+	for (const session of relaySessions.values()) {
+		if (session.tokens.has(id)) return true;
+	}
+	return false;
+}
+
+function startDrain(trigger) {
+	if (draining) return draining.done;
+	const since = Date.now();
+	const deadline = since + Number(env.DRAIN_TIMEOUT_MS);
+	logger.info({ trigger, sockets: peers.size, pairs: calcPairs(), relays: relaySessions.size }, 'drain_started');
+	for (const ws of peers.values()) send(ws, { type: 'drain', deadline: new Date(deadline).toISOString() });
+	let timer = null;
+	const done = new Promise((resolve) => {
+		const sweep = () => {
+			const late = Date.now() >= deadline;
+			for (const [id, ws] of peers) {
+				if (inUse(id) && !late) continue;
+				try {
+					// Past the deadline a client that does not answer the close handshake is cut off
+					if (late && ws.readyState === ws.CLOSING) ws.terminate();
+					else ws.close(1012, 'draining');
+				} catch {}
+			}
+			if (late) {
+				for (const session of [...relaySessions.values()]) endRelay(session, 'draining', 1012);
+			}
+			if (peers.size || relaySessions.size) return;
+			clearInterval(timer);
+			logger.info({ trigger, ms: Date.now() - since }, 'drain_complete');
+			resolve();
+		};
+		timer = setInterval(sweep, 500);
+		timer.unref();
+		sweep();
+	});
+	draining = { trigger, deadline, done };
+	return done;
+}
+
+// End a peer's session now (no resume), e.g. admin kick or ban
+function kickPeer(id, reason) {
+	const ws = peers.get(id);
+	peers.delete(id);
+	wsClientsGauge.set(peers.size);
+	endSession(id);
+	if (ws) {
+		try {
+			ws.close(4001, reason);
+		} catch {}
+	}
+}
+
+// Audit trail: who paired with whom and when (never file contents). Events go to the sinks listed
+// in AUDIT_SINKS: 'log' (pino), 'file' (rotating NDJSON) and 'webhook' (batched POST with retry).
+// IPs are only recorded as a salted hash.
+const AUDIT_SINKS = new Set(
+	String(env.AUDIT_SINKS || '')
+		.split(',')
+		.map((s) => s.trim())
+		.filter(Boolean)
+);
+const AUDIT_IP_SALT = env.AUDIT_IP_SALT || crypto.randomBytes(16).toString('hex');
+
+function hashIp(ip) {
+	const addr = normalizeIp(ip);
+	if (!addr) return null;
+	return crypto.createHmac('sha256', AUDIT_IP_SALT).update(addr).digest('hex').slice(0, 16);
+}
+
+function audit(event, fields = {}) {
+	if (!AUDIT_SINKS.size) return;
+	const record = { ts: new Date().toISOString(), event, instance: instanceId, ...fields };
+	auditEventsCounter.inc({ event });
+	if (AUDIT_SINKS.has('log')) logger.info({ audit: record }, 'audit');
+	if (AUDIT_SINKS.has('file')) auditFile.write(record);
+	if (AUDIT_SINKS.has('webhook')) auditWebhook.push(record);
+}
+
+// NDJSON file, rotated by size: audit.ndjson -> audit.ndjson.1 -> ... -> .<AUDIT_FILE_KEEP>
+const auditFile = {
+	stream: null,
+	size: 0,
+	open() {
+		const file = path.resolve(env.AUDIT_FILE);
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		try {
+			this.size = fs.statSync(file).size;
+		} catch {
+			this.size = 0;
+		}
+		this.stream = fs.createWriteStream(file, { flags: 'a' });
+		this.stream.on('error', (err) => logger.error({ err }, 'audit_file_error'));
+	},
+	write(record) {
+		if (!this.stream) this.open();
+		const line = JSON.stringify(record) + '\n';
+		this.stream.write(line);
+		this.size += Buffer.byteLength(line);
+		if (this.size >= Number(env.AUDIT_FILE_MAX_BYTES)) this.rotate();
+	},
+	rotate() {
+		const file = path.resolve(env.AUDIT_FILE);
+		// Renaming keeps the old descriptor valid, so pending writes land in the rotated file
+		this.stream.end();
+		this.stream = null;
+		try {
+			const keep = Math.max(1, Number(env.AUDIT_FILE_KEEP));
+			fs.rmSync(`${file}.${keep}`, { force: true });
+			for (let i = keep - 1; i >= 1; i--) {
+				if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+			}
+			fs.renameSync(file, `${file}.1`);
+		} catch (err) {
+			logger.error({ err }, 'audit_rotate_failed');
+		}
+		this.size = 0;
+	},
+	close() {
+		if (this.stream) this.stream.end();
+		this.stream = null;
+	},
+};
+
+// Webhook: POST batches as a JSON array; on failure keep them and back off (1s doubling to 60s)
+const auditWebhook = {
+	queue: [],
+	timer: null,
+	failures: 0,
+	sending: false,
+	push(record) {
+		this.queue.push(record);
+		// Bounded memory while the receiver is down: oldest events go first
+		if (this.queue.length > 10_000) {
+			this.queue.shift();
+			auditDroppedCounter.inc();
+		}
+		this.schedule(this.queue.length >= 100 ? 0 : 1000);
+	},
+	schedule(ms) {
+		if (this.timer || this.sending) return;
+		this.timer = setTimeout(() => {
+			this.timer = null;
+			this.flush();
+		}, ms);
+		this.timer.unref();
+	},
+	async flush() {
+		if (this.sending || !this.queue.length) return;
+		this.sending = true;
+		const batch = this.queue.slice(0, 100);
+		try {
+			const headers = { 'Content-Type': 'application/json' };
+			if (env.AUDIT_WEBHOOK_TOKEN) headers.Authorization = `Bearer ${env.AUDIT_WEBHOOK_TOKEN}`;
+			const res = await fetch(env.AUDIT_WEBHOOK_URL, {
+				method: 'POST',
+				headers,
+				body: JSON.stringify(batch),
+				signal: AbortSignal.timeout(10_000),
+			});
+			if (!res.ok) throw new Error(`HTTP ${res.status}`);
+			// Drop what was sent (the queue may have shifted if it overflowed meanwhile)
+			this.queue.splice(0, this.queue.indexOf(batch[batch.length - 1]) + 1);
+			this.failures = 0;
+		} catch (err) {
+			this.failures += 1;
+			auditWebhookFailuresCounter.inc();
+			logger.warn({ err: String(err?.message || err), failures: this.failures }, 'audit_webhook_failed');
+		} finally {
+			this.sending = false;
+		}
+		if (this.queue.length) this.schedule(this.failures ? Math.min(60_000, 1000 * 2 ** (this.failures - 1)) : 0);
+	},
+};
+
+// Settings reload (SIGHUP or CONFIG_FILE change). A reload that fails validation is rejected as a
+// whole. Keys below are bound at startup (listeners, Redis, audit sinks, headers) and keep their value.
+const RESTART_ONLY = [
+	'PORT',
+	'WS_PATH',
+	'RELAY_PATH',
+	'BUS',
+	'BUS_OFFLINE',
+	'BUS_QUEUE_MAX',
+	'BUS_QUEUE_MS',
+	'REDIS_URL',
+	'REDIS_MODE',
+	'REDIS_SENTINELS',
+	'REDIS_SENTINEL_NAME',
+	'REDIS_PREFIX',
+	'REDIS_PEER_TTL',
+	'NATS_URL',
+	'NATS_PREFIX',
+	'AUTH_ISSUER',
+	'AUTH_JWKS_URL',
+	'NODE_ID',
+	'AUDIT_SINKS',
+	'AUDIT_FILE',
+	'AUDIT_IP_SALT',
+	'HSTS_ENABLED',
+	'HSTS_MAX_AGE',
+];
+function reloadSettings(trigger) {
+	let next;
+	try {
+		next = loadSettings();
+	} catch (err) {
+		configReloadsCounter.inc({ result: 'rejected' });
+		logger.error({ trigger, err: err.message }, 'config_reload_rejected');
+		return false;
+	}
+	const prev = env;
+	env = Object.freeze({ ...next, ...Object.fromEntries(RESTART_ONLY.map((k) => [k, prev[k]])) });
+	const changed = Object.keys(settingsSpec).filter((k) => String(prev[k]) !== String(next[k]));
+
+	allowedOriginSet = parseOrigins(env.ALLOWED_ORIGINS);
+	TRUST_PROXY_HOPS = trustProxyHops();
+	TRUST_PROXY = TRUST_PROXY_HOPS > 0 ? TRUST_PROXY_HOPS : false;
+	app.set('trust proxy', TRUST_PROXY);
+	if (prev.HTTP_WINDOW_MS !== env.HTTP_WINDOW_MS) limiters = makeLimiters();
+	TURN_URLS = splitList(env.TURN_URLS);
+	ipAllowList = parseIpList(env.IP_ALLOW, 'IP_ALLOW');
+	ipDenyList = parseIpList(env.IP_DENY, 'IP_DENY');
+	MAX_IP_CONNS = Number(env.MAX_IP_CONNS);
+	wsRateCfg.rate = Number(env.WS_MSG_RATE);
+	wsRateCfg.burst = Number(env.WS_MSG_BURST);
+	ROOM_MAX_PEERS = Number(env.ROOM_MAX_PEERS);
+	RESUME_GRACE_MS = Number(env.RESUME_GRACE_MS);
+	KNOCK_TIMEOUT_MS = Number(env.KNOCK_TIMEOUT_MS);
+	RELAY_MAX_BYTES = Number(env.RELAY_MAX_BYTES);
+	RELAY_BPS = Math.max(1024, Number(env.RELAY_BPS));
+	RELAY_IDLE_MS = Number(env.RELAY_IDLE_MS);
+	logger.level = env.LOG_LEVEL;
+
+	configReloadsCounter.inc({ result: 'ok' });
+	configReloadGauge.set(Date.now() / 1000);
+	logger.info(
+		{
+			trigger,
+			changed: changed.filter((k) => !RESTART_ONLY.includes(k)),
+			needsRestart: changed.filter((k) => RESTART_ONLY.includes(k)),
+		},
+		'config_reloaded'
+	);
+	return true;
+}
+process.on('SIGHUP', () => reloadSettings('sighup'));
+if (CONFIG_FILE) {
+	fs.watchFile(CONFIG_FILE, { interval: 2000, persistent: false }, (cur, prev) => {
+		if (cur.mtimeMs !== prev.mtimeMs) reloadSettings('file');
+	});
+}
+
+// Signaling protocol. Clients answer `welcome` with `hello { v }`; every frame is typed and checked
+// against this table before it is handled. Refused frames get an `error` frame back.
+const PROTOCOL_VERSION = 1;
+const MESSAGE_SCHEMA = {
+	hello: { v: 'number' },
+	signal: { to: 'code', payload: 'object' },
+	knock: { to: 'code', name: 'string?' },
+	'knock-reply': { to: 'code', accept: 'boolean?', busy: 'boolean?' },
+	'knock-cancel': { to: 'code' },
+	'relay-request': { to: 'code' },
+	'room-create': {},
+	'room-join': { room: 'string' },
+	'room-leave': {},
+	list: {},
+};
+const FIELD_CHECKS = {
+	code: (v) => typeof v === 'string' && v.length <= 32,
+	string: (v) => typeof v === 'string',
+	number: (v) => Number.isFinite(v),
+	boolean: (v) => typeof v === 'boolean',
+	object: (v) => !!v && typeof v === 'object' && !Array.isArray(v),
+};
+
+// Why a frame breaks the schema (a rejection reason), or null when it fits
+function schemaError(msg) {
+	if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return 'invalid-message';
+	const fields = Object.hasOwn(MESSAGE_SCHEMA, msg.type) ? MESSAGE_SCHEMA[msg.type] : null;
+	if (!fields) return 'unknown-type';
+	for (const [key, spec] of Object.entries(fields)) {
+		const optional = spec.endsWith('?');
+		if (optional && msg[key] === undefined) continue;
+		if (!FIELD_CHECKS[optional ? spec.slice(0, -1) : spec](msg[key])) return 'invalid-message';
+	}
+	return null;
+}
+
+// Error frame codes clients act on; the detailed rejection reason travels along
+function errorCode(reason) {
+	if (reason === 'unknown-peer' || reason === 'busy' || reason === 'no-consent') return reason;
+	if (reason === 'rate') return 'rate-limited';
+	if (reason.startsWith('oversize-')) return 'too-large';
+	return 'invalid';
+}
+
 // Heartbeat handling
 function heartbeat() {
 	this.isAlive = true;
@@ -230,7 +1673,9 @@ function heartbeat() {
 
 // Basic per-IP connection limiter (soft)
 const ipConnCount = new Map();
-const MAX_IP_CONNS = Number(env.MAX_IP_CONNS);
+let MAX_IP_CONNS = Number(env.MAX_IP_CONNS);
+// Per-connection message token bucket; shared so every socket follows reloaded settings
+const wsRateCfg = { rate: Number(env.WS_MSG_RATE), burst: Number(env.WS_MSG_BURST) };
 
 // Handle WS upgrades with Origin and path validation
 httpServer.on('upgrade', (req, socket, head) => {
@@ -238,8 +1683,21 @@ httpServer.on('upgrade', (req, socket, head) => {
 	const origin = headers.origin || '';
 	const host = headers.host || '';
 
+	const isRelay = env.RELAY_ENABLED && !!url && url.split('?')[0] === RELAY_PATH;
+
+	const ip = clientIp(req);
+	const refusal = ipRefusal(ip);
+	if (refusal) {
+		recordRejection(refusal, { ip });
+		wsUpgradeRejectedCounter.inc({ reason: refusal });
+		socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+		socket.destroy();
+		return;
+	}
+
 	// Path check
-	if (!url || !url.startsWith(WS_PATH)) {
+	if (!url || !(isRelay || url.startsWith(WS_PATH))) {
+		wsUpgradeRejectedCounter.inc({ reason: 'path' });
 		socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
 		socket.destroy();
 		return;
@@ -258,20 +1716,63 @@ httpServer.on('upgrade', (req, socket, head) => {
 		}
 	}
 	if (!originAllowed) {
+		recordRejection('origin', { ip, origin: origin.slice(0, 200) });
+		audit('origin-rejected', { origin: origin.slice(0, 200), ipHash: hashIp(ip) });
+		wsUpgradeRejectedCounter.inc({ reason: 'origin' });
 		socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
 		socket.destroy();
 		return;
 	}
 
-	// Soft connection limiting by IP
-	const ip = (req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').toString();
-	const c = (ipConnCount.get(ip) || 0) + 1;
+	// Draining: new signaling sockets belong on another instance (relays of active pairs still join)
+	if (draining && !isRelay) {
+		wsUpgradeRejectedCounter.inc({ reason: 'draining' });
+		socket.write('HTTP/1.1 503 Service Unavailable\r\nRetry-After: 5\r\n\r\n');
+		socket.destroy();
+		return;
+	}
+
+	// SSO: no verified token, no code; the identity rides on req into the connection handler.
+	// Relay sockets need it as well, on top of their single-use token handed out over signaling.
+	if (AUTH_ISSUER) {
+		authenticate(req)
+			.then((identity) => {
+				if (socket.destroyed) return;
+				req.identity = identity;
+				admitSocket(req, socket, head, ip, origin, isRelay);
+			})
+			.catch((err) => {
+				recordRejection('auth', { ip, error: err.code || err.message });
+				wsUpgradeRejectedCounter.inc({ reason: 'auth' });
+				socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+				socket.destroy();
+			});
+		return;
+	}
+	admitSocket(req, socket, head, ip, origin, isRelay);
+});
+
+// Signaling and relay sockets share the per-network connection limit
+function admitSocket(req, socket, head, ip, origin, isRelay) {
+	// Soft connection limiting per client network
+	const bucket = connBucket(ip);
+	const c = (ipConnCount.get(bucket) || 0) + 1;
 	if (c > MAX_IP_CONNS) {
+		recordRejection('ip-limit', { ip });
+		wsUpgradeRejectedCounter.inc({ reason: 'ip-limit' });
 		socket.write('HTTP/1.1 429 Too Many Requests\r\n\r\n');
 		socket.destroy();
 		return;
 	}
-	ipConnCount.set(ip, c);
+	ipConnCount.set(bucket, c);
+	// Given back when the TCP socket closes: also for refused handshakes and timed-out upgrades,
+	// where no WebSocket ever exists
+	let released = false;
+	socket.once('close', () => {
+		if (released) return;
+		released = true;
+		releaseConnSlot(bucket);
+	});
 
 	// Guard against long-lived half-open upgrades
 	try {
@@ -282,46 +1783,79 @@ httpServer.on('upgrade', (req, socket, head) => {
 		});
 	} catch {}
 
-	wss.handleUpgrade(req, socket, head, (ws) => {
+	const server = isRelay ? relayWss : wss;
+	server.handleUpgrade(req, socket, head, (ws) => {
+		if (isRelay) return relayWss.emit('connection', ws, req);
+		audit('connect', { ipHash: hashIp(ip), origin: origin.slice(0, 200) || null, user: req.identity?.sub });
 		wss.emit('connection', ws, req);
 	});
-});
+}
+
+// Give back the slot counted at admission (under that bucket, even if a reload changed how buckets
+// are derived since)
+function releaseConnSlot(bucket) {
+	const c = (ipConnCount.get(bucket) || 1) - 1;
+	if (c <= 0) ipConnCount.delete(bucket);
+	else ipConnCount.set(bucket, c);
+}
 
-wss.on('connection', (ws, req) => {
+wss.on('connection', async (ws, req) => {
 	ws.isAlive = true;
 	ws.on('pong', heartbeat);
-	// Generate a short, human-friendly ID (unambiguous uppercase base32 set)
-	const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // no I, L, O, 0, 1
-	function genId(len = 6) {
-		const bytes = crypto.randomBytes(len);
-		let s = '';
-		for (let i = 0; i < len; i++) s += alphabet[bytes[i] % alphabet.length];
-		return s;
-	}
-	let id = genId(6);
-	// Very low chance of collision; loop until unique in current session
-	while (peers.has(id)) id = genId(6);
+	// Hold incoming frames until the ID is reserved (a Redis round-trip when enabled)
+	ws.pause();
+	// Reclaim the previous code if the client presents a valid resume token
+	const resumedId = takeResume(req);
+	const id = resumedId || (await allocateId());
+	if (ws.readyState !== ws.OPEN) {
+		// Client went away while we were reserving; give the ID back
+		releasePeer(id);
+		return;
+	}
+	ws.resume();
+	ws._ip = clientIp(req);
 	peers.set(id, ws);
-	partner.set(id, null);
-	send(ws, { type: 'welcome', id });
+	if (!resumedId) partner.set(id, null);
+	const resumeToken = issueResumeToken(id);
+	sessions.get(id).ip = ws._ip;
+	sessions.get(id).identity = req.identity || null;
+	send(ws, {
+		type: 'welcome',
+		v: PROTOCOL_VERSION,
+		id,
+		resumeToken,
+		resumed: !!resumedId,
+		// Let a resumed client reconcile what the server still holds for it
+		partner: partner.get(id) || null,
+		room: roomOf.get(id) || null,
+		identity: req.identity?.name || null,
+	});
 	wsClientsGauge.set(peers.size);
-
-	// Register this peer in Redis (if enabled)
-	if (useRedis && redisPub && redisPeersKey) {
-		redisPub.hset(redisPeersKey, id, instanceId).catch(() => {});
-	}
+	audit('welcome', { id, resumed: !!resumedId, ipHash: hashIp(ws._ip), user: req.identity?.sub });
 
 	// Simple token-bucket message rate limiter per connection
-	const rateCfg = { rate: Number(env.WS_MSG_RATE), burst: Number(env.WS_MSG_BURST) };
-	ws._bucket = { tokens: rateCfg.burst, last: Date.now(), cfg: rateCfg };
+	ws._bucket = { tokens: wsRateCfg.burst, last: Date.now(), cfg: wsRateCfg };
 
-	// Idle-timeout for clients that never signal (no offer/answer/candidate within 60s)
-	let signalTimeout = setTimeout(() => {
-		try {
-			ws.close(1000, 'idle');
-		} catch {}
-	}, 60_000);
+	// Idle-timeout for clients that never signal (no offer/answer/candidate within 60s);
+	// a resumed session already proved itself
+	let signalTimeout = resumedId
+		? null
+		: setTimeout(() => {
+				try {
+					ws.close(1000, 'idle');
+				} catch {}
+			}, 60_000);
 
+	// Count and log a refused frame (surfaced in the admin API) and tell the client why
+	const reject = (reason, detail = {}) => {
+		wsErrorsCounter.inc({ reason });
+		recordRejection(reason, { id, ip: ws._ip, ...detail });
+		const { to, kind, type } = detail;
+		send(ws, { type: 'error', code: errorCode(reason), reason, to, kind, ref: type });
+	};
+
+	// Pairing checks may hit Redis; process frames strictly in arrival order
+	let queue = Promise.resolve();
 	ws.on('message', (data) => {
 		// Rate-limit check
 		const b = ws._bucket;
@@ -331,7 +1865,13 @@ wss.on('connection', (ws, req) => {
 			b.last = now;
 			b.tokens = Math.min(b.cfg.burst, b.tokens + elapsed * b.cfg.rate);
 			if (b.tokens < 1) {
-				wsErrorsCounter.inc();
+				reject('rate');
+				// Frames already buffered after the close must not count as more offences
+				if (!ws._rateClosed) {
+					ws._rateClosed = true;
+					audit('rate-limited', { id, ipHash: hashIp(ws._ip) });
+					noteRateClose(ws._ip);
+				}
 				try {
 					ws.close(1008, 'rate');
 				} catch {}
@@ -339,45 +1879,116 @@ wss.on('connection', (ws, req) => {
 			}
 			b.tokens -= 1;
 		}
+		queue = queue
+			.then(() => onMessage(data))
+			.catch((err) => {
+				// Broker down: the frame needed shared state, so tell the client instead of dropping it
+				if (err instanceof BusUnavailableError) send(ws, { type: 'error', code: 'unavailable', reason: 'bus-unavailable' });
+				else logger.warn({ err }, 'ws_message_failed');
+			});
+	});
+
+	async function onMessage(data) {
 		let msg;
 		try {
 			msg = JSON.parse(data.toString());
 		} catch {
-			wsErrorsCounter.inc();
+			reject('invalid-json');
 			return;
 		}
-		// Strict message validation
-		const { to, payload, type } = msg || {};
-		if (typeof to !== 'string' || !payload || typeof payload !== 'object') {
-			wsErrorsCounter.inc();
+		// Clients before protocol v1 sent signals without a type
+		if (msg && typeof msg === 'object' && msg.type === undefined) msg.type = 'signal';
+		const invalid = schemaError(msg);
+		if (invalid) return reject(invalid, { type: typeof msg?.type === 'string' ? msg.type.slice(0, 32) : undefined });
+		const { to, payload, type } = msg;
+
+		if (type === 'hello') {
+			ws._protocol = msg.v;
+			if (msg.v !== PROTOCOL_VERSION) reject('unsupported-version', { type });
 			return;
 		}
 
-		// Do not expose other peers (privacy): return empty list or ignore
-		if (type === 'list') {
-			send(ws, { type: 'peers', peers: [] });
+		// Connection requests (knock / reply / cancel) precede any 1:1 signaling
+		if (type === 'knock' || type === 'knock-reply' || type === 'knock-cancel') {
+			if (signalTimeout) {
+				clearTimeout(signalTimeout);
+				signalTimeout = null;
+			}
+			await handleKnock(ws, id, type, to, msg);
 			return;
 		}
 
-		// If destination is local, deliver; else (optional) forward via Redis
-		let dest = peers.get(to);
-		if (!dest) {
-			if (useRedis && redisPub) {
-				try {
-					redisPub.publish(redisSignalsChannel, JSON.stringify({ to, from: id, payload, type: 'signal' }));
-				} catch {}
+		// Fallback transport for a consented 1:1 pair whose WebRTC connection failed
+		if (type === 'relay-request') {
+			await handleRelayRequest(ws, id, to);
+			return;
+		}
+
+		// Group room membership (create/join/leave), kept on the bus
+		if (type === 'room-create' || type === 'room-join' || type === 'room-leave') {
+			if (signalTimeout) {
+				clearTimeout(signalTimeout);
+				signalTimeout = null;
+			}
+			if (type === 'room-leave') {
+				const room = leaveRoom(id);
+				if (room) send(ws, { type: 'room-left', room });
+				return;
+			}
+			// A peer is either in one room or in a 1:1 pairing, never both
+			if (roomOf.has(id) || partner.get(id)) {
+				send(ws, { type: 'room-error', reason: 'busy' });
+				return;
+			}
+			let room;
+			if (type === 'room-create') {
+				// Room codes come from the peer code alphabet; the bus reserves both in one namespace
+				do room = genId(6);
+				while (sessions.has(room) || !(await bus.claimRoom(room, id)));
+			} else {
+				room = msg.room.toUpperCase().replace(/[^A-Z0-9]/g, '');
+				const joined = await bus.joinRoom(room, id, ROOM_MAX_PEERS);
+				if (joined !== 'ok') {
+					send(ws, { type: 'room-error', reason: joined });
+					return;
+				}
+			}
+			const members = (await bus.roomMembers(room)).filter((m) => m !== id);
+			// The session ended while the bus answered
+			if (!sessions.has(id)) {
+				bus.leaveRoom(room, id).catch(() => {});
+				return;
 			}
+			joinRoom(id, room, members);
+			send(ws, { type: 'room-joined', room, members, max: ROOM_MAX_PEERS });
 			return;
 		}
 
-		// Enforce single active connection per peer (simple busy locking)
-		const pFrom = partner.get(id) || null;
-		const pTo = partner.get(to) || null;
-		const kind = payload?.type;
-		if (!['offer', 'answer', 'candidate', 'bye', 'busy'].includes(kind)) return;
+		// Do not expose other peers (privacy): return empty list or ignore
+		if (type === 'list') {
+			send(ws, { type: 'peers', peers: [] });
+			return;
+		}
+
+		// Everything else is a 1:1 or room signal
+		const kind = payload.type;
+		if (!['offer', 'answer', 'candidate', 'bye', 'busy', 'pake', 'restart'].includes(kind)) {
+			return reject('unknown-kind', { to, kind: typeof kind === 'string' ? kind.slice(0, 32) : undefined });
+		}
 		// Basic size guards for SDP/candidates
-		if (payload?.sdp && JSON.stringify(payload.sdp).length > 200_000) return; // ~200KB
-		if (payload?.candidate && JSON.stringify(payload.candidate).length > 50_000) return; // ~50KB
+		if (payload.sdp && JSON.stringify(payload.sdp).length > 200_000) {
+			return reject('oversize-sdp', { to, kind }); // ~200KB
+		}
+		if (payload.candidate && JSON.stringify(payload.candidate).length > 50_000) {
+			return reject('oversize-candidate', { to, kind }); // ~50KB
+		}
+		// Wormhole key exchange messages are one 2048-bit group element (plus a MAC on SDPs)
+		if (payload.msg && JSON.stringify(payload.msg).length > 1_024) return reject('oversize-pake', { to, kind });
+
+		// Destination is local, or (with Redis) owned by another instance
+		// (a parked peer still takes part in locking; its signals are dropped)
+		const dest = peers.get(to);
+		if (!dest && !sessions.has(to) && !(await isRemotePeer(to))) return reject('unknown-peer', { to, kind });
 
 		// First valid signaling message cancels idle timeout
 		if (signalTimeout) {
@@ -385,75 +1996,103 @@ wss.on('connection', (ws, req) => {
 			signalTimeout = null;
 		}
 
-		if (kind === 'offer') {
-			// If either side is busy with someone else, reject
-			if ((pFrom && pFrom !== to) || (pTo && pTo !== id)) {
-				// Inform caller they're busy/peer busy (using signal channel for compatibility)
-				send(ws, { from: to, type: 'signal', payload: { type: 'busy' } });
-				return;
-			}
-			// Mark caller as dialing callee
-			partner.set(id, to);
+		// Mesh links between members of the same room bypass the 1:1 busy locking
+		const roomFrom = roomOf.get(id) || null;
+		const roomTo = sessions.has(to) ? roomOf.get(to) || null : await bus.roomOf(to);
+		if (roomFrom && roomFrom === roomTo) {
+			if (kind === 'offer') audit('offer', { id, peer: to, room: roomFrom });
+			if (kind === 'answer') audit('pair-locked', { id: to, peer: id, room: roomFrom });
+			// Tagged with the room so the receiving instance does not mirror it as a 1:1 lock
+			deliver(to, { from: id, type: 'signal', payload, room: roomFrom });
+			try {
+				wsSignalsCounter.inc({ kind: kind || 'unknown' });
+			} catch {}
+			return;
 		}
+		// Room members are busy for anyone outside their room
+		if (kind === 'offer' && (roomFrom || roomTo)) return reject('busy', { to, kind });
 
-		if (kind === 'answer') {
-			// Lock both sides together
-			if ((pFrom && pFrom !== to) || (pTo && pTo !== id)) {
-				// Conflict: one side switched; drop
-				return;
-			}
-			partner.set(id, to);
-			partner.set(to, id);
+		// 1:1 sessions need an accepted knock before anything but bye/busy is relayed
+		if (kind !== 'bye' && kind !== 'busy' && !(await hasConsent(id, to))) {
+			return reject('no-consent', { to, kind });
 		}
 
+		// An ICE restart re-offers inside the current pairing (e.g. after a network change)
+		const restart = kind === 'restart' || (kind === 'offer' && payload.restart === true);
+
+		// Enforce single active connection per peer (simple busy locking)
+		const verdict = await pairSignal(id, to, restart ? 'restart' : kind);
+		if (verdict === 'busy') return reject('busy', { to, kind });
+		// Candidates or answers that do not belong to the current pairing
+		if (verdict !== 'ok') return reject(`${kind}-dropped`, { to, kind });
+
+		// A finished session needs a new knock next time (and loses its relay)
 		if (kind === 'bye') {
-			// Release both sides
-			if (pFrom === to) partner.set(id, null);
-			if (pTo === id) partner.set(to, null);
+			await revokeConsent(id, to);
+			const session = relaySessions.get(relayKey(id, to));
+			if (session) endRelay(session, 'closed');
 		}
 
-		// Only relay candidates if they belong to current pairing
-		if (kind === 'candidate') {
-			if (!(pFrom === to || pTo === id || (pFrom === null && pTo === null))) {
-				return;
-			}
-		}
+		if (restart) audit('ice-restart', { id, peer: to, requested: kind === 'restart' });
+		else if (kind === 'offer') audit('offer', { id, peer: to });
+		if (kind === 'answer') audit('pair-locked', { id: to, peer: id });
+		if (kind === 'bye') audit('bye', { id, peer: to });
+
+		// Time-to-pair: the callee's instance saw the offer (locally or from the bus) and now its answer
+		if (kind === 'offer' && !restart && sessions.has(to)) trackOffer(id, to);
+		if (kind === 'answer') observeAnswer(to, id);
 
 		// Forward signal
-		send(dest, { from: id, type: 'signal', payload });
+		deliver(to, { from: id, type: 'signal', payload });
 		try {
 			wsSignalsCounter.inc({ kind: kind || 'unknown' });
 		} catch {}
 
 		// update pairs gauge after any state change
 		setImmediate(() => wsPairsGauge.set(calcPairs()));
-	});
+	}
 
-	ws.on('close', () => {
-		peers.delete(id);
-		const p = partner.get(id) || null;
-		partner.delete(id);
-		if (p && partner.get(p) === id) partner.set(p, null);
-		wsClientsGauge.set(peers.size);
-		setImmediate(() => wsPairsGauge.set(calcPairs()));
-		// decrement IP counter
-		try {
-			const ip = (req?.headers?.['x-forwarded-for'] || req?.socket?.remoteAddress || '').toString();
-			const c = (ipConnCount.get(ip) || 1) - 1;
-			if (c <= 0) ipConnCount.delete(ip);
-			else ipConnCount.set(ip, c);
-		} catch {}
+	ws.on('close', (code) => {
 		if (signalTimeout) {
 			clearTimeout(signalTimeout);
 			signalTimeout = null;
 		}
-		// Remove from Redis mapping
-		if (useRedis && redisPub && redisPeersKey) {
-			redisPub.hdel(redisPeersKey, id).catch(() => {});
-		}
+		audit('close', { id, code });
+		// Superseded by a resumed connection: the session lives on there
+		if (peers.get(id) !== ws) return;
+		peers.delete(id);
+		wsClientsGauge.set(peers.size);
+		// Nothing to resume on a draining instance: end the session so the code and locks go now
+		if (draining) return endSession(id);
+		if (RESUME_GRACE_MS > 0) notifyPeerLeft(id, 'offline');
+		parkSession(id);
 	});
 });
 
+function releasePeer(id) {
+	bus.releasePeer(id).catch((err) => logger.warn({ id, err: err.message }, 'bus_release_failed'));
+}
+
+// Keep bus leases of local peers (and their consent keys) alive; if this node dies they expire
+// after REDIS_PEER_TTL
+function renewLeases() {
+	const ids = [...sessions.keys()];
+	if (!ids.length) return;
+	bus.renewPeers(ids)
+		.then((lost) => {
+			// Lease lapsed (e.g. broker outage) and another instance took the code
+			for (const id of lost) logger.warn({ id }, 'peer_id_conflict');
+		})
+		.catch(() => {});
+	bus.touch(
+		ids.map((id) => `consent:${id}`),
+		CONSENT_TTL_MS,
+	).catch(() => {});
+	if (roomOf.size) bus.renewRooms([...roomOf]).catch(() => {});
+}
+const leaseInterval = setInterval(renewLeases, Math.floor((PEER_TTL * 1000) / 3));
+leaseInterval.unref();
+
 // Terminate dead WS clients periodically
 const hbInterval = setInterval(() => {
 	wss.clients.forEach((ws) => {
@@ -476,27 +2115,35 @@ httpServer.listen(PORT, () => {
 });
 
 // Graceful shutdown
+let shuttingDown = false;
 function shutdown() {
+	// A second signal skips the drain
+	if (shuttingDown) process.exit(0);
+	shuttingDown = true;
 	logger.info('Shutting down...');
+	startDrain('shutdown').then(closeAndExit);
+}
+function closeAndExit() {
 	clearInterval(hbInterval);
+	if (leaseInterval) clearInterval(leaseInterval);
 	try {
 		if (metricsInterval) clearInterval(metricsInterval);
 	} catch {}
+	// Flush what the audit sinks still hold (best effort within the exit timeout)
+	if (CONFIG_FILE) fs.unwatchFile(CONFIG_FILE);
+	auditFile.close();
+	auditWebhook.flush();
 	try {
 		wss.close();
+		relayWss.close();
 	} catch {}
 	try {
 		httpServer.close(() => process.exit(0));
 	} catch {
 		process.exit(0);
 	}
-	// Close Redis clients if used
-	try {
-		if (useRedis && redisPub) redisPub.quit().catch(() => {});
-	} catch {}
-	try {
-		if (useRedis && redisSub) redisSub.quit().catch(() => {});
-	} catch {}
+	// Close bus connections
+	bus.close().catch(() => {});
 	// Force exit after timeout
 	setTimeout(() => process.exit(0), 5000).unref();
 }
@@ -534,31 +2181,48 @@ function calcPairs() {
 	return pairs;
 }
 
-// Redis subscriber: deliver cross-node signals to local peers
-if (useRedis && redisSub) {
-	redisSub.on('message', (channel, message) => {
-		if (channel !== redisSignalsChannel) return;
-		let msg;
-		try {
-			msg = JSON.parse(message);
-		} catch {
-			return;
+// Bus subscriber: deliver cross-node signals and room notices to local peers
+bus.subscribe((msg) => {
+	const { to, from, payload, type } = msg || {};
+	if (typeof msg?.toRoom === 'string') {
+		// Our own members already have it
+		if (msg.origin !== instanceId && msg.msg) fanOutRoom(msg.toRoom, msg.msg, msg.except);
+		return;
+	}
+	if (typeof to !== 'string') return;
+	const dest = peers.get(to);
+	if (!dest) {
+		// Every instance sees every message; only count (and answer) the ones meant for our parked peers
+		if (sessions.has(to)) {
+			busSignalsCounter.inc({ op: 'miss' });
+			notifyNotFound(to, msg);
 		}
-		const { to, from, payload, type } = msg || {};
-		if (type !== 'signal' || typeof to !== 'string' || !payload) return;
-		const dest = peers.get(to);
-		if (!dest) return;
-		send(dest, { from, type: 'signal', payload });
-		try {
-			wsSignalsCounter.inc({ kind: payload?.type || 'unknown' });
-		} catch {}
-	});
-}
+		return;
+	}
+	busSignalsCounter.inc({ op: 'deliver' });
+	if (['knock', 'knock-result', 'peer-left', 'peer-not-found'].includes(type)) {
+		const { to: _to, ...out } = msg;
+		send(dest, out);
+		return;
+	}
+	if (type !== 'signal' || !payload) return;
+	// Locks were applied on the bus by the sending instance; mirror them for local state (room mesh
+	// signals take no lock)
+	if (typeof from === 'string' && !msg.room) {
+		pairLocal(from, to, payload?.type, true);
+		if (payload?.type === 'offer' && !payload.restart) trackOffer(from, to);
+	}
+	send(dest, { from, type: 'signal', payload, room: msg.room });
+	try {
+		wsSignalsCounter.inc({ kind: payload?.type || 'unknown' });
+	} catch {}
+});
 
 // Test helper: allow graceful shutdown without process.exit
 export async function stopServer() {
 	try {
 		clearInterval(hbInterval);
+		if (leaseInterval) clearInterval(leaseInterval);
 	} catch {}
 	try {
 		if (metricsInterval) clearInterval(metricsInterval);
@@ -567,6 +2231,7 @@ export async function stopServer() {
 		await new Promise((resolve) => {
 			try {
 				wss.close();
+				relayWss.close();
 			} catch {}
 			try {
 				httpServer.close(() => resolve());
@@ -575,12 +2240,10 @@ export async function stopServer() {
 			}
 		});
 	} catch {}
-	if (useRedis) {
-		try {
-			if (redisPub) await redisPub.quit();
-		} catch {}
-		try {
-			if (redisSub) await redisSub.quit();
-		} catch {}
-	}
+	if (CONFIG_FILE) fs.unwatchFile(CONFIG_FILE);
+	auditFile.close();
+	await auditWebhook.flush();
+	try {
+		await bus.close();
+	} catch {}
 }
@@ -0,0 +1,172 @@
+// Admin console: a thin UI over /admin/api (bearer ADMIN_TOKEN, kept per tab in sessionStorage)
+const TOKEN_KEY = 'p2p.adminToken';
+const tokenInput = document.getElementById('token');
+const btnUnlock = document.getElementById('btnUnlock');
+const btnRefresh = document.getElementById('btnRefresh');
+const btnBan = document.getElementById('btnBan');
+const statusEl = document.getElementById('status');
+const statusWrap = document.getElementById('statusWrap');
+const instanceEl = document.getElementById('instance');
+const connectionsEl = document.getElementById('connections');
+const bansEl = document.getElementById('bans');
+const rejectionsEl = document.getElementById('rejections');
+const banTarget = document.getElementById('banTarget');
+const banMinutes = document.getElementById('banMinutes');
+const banReason = document.getElementById('banReason');
+
+let token = '';
+let refreshTimer = null;
+
+function setStatus(text, state) {
+	statusEl.textContent = text;
+	statusWrap.classList.remove('connected', 'connecting', 'disconnected');
+	statusWrap.classList.add(state);
+}
+
+async function api(method, path, body) {
+	const res = await fetch('/admin/api' + path, {
+		method,
+		cache: 'no-store',
+		headers: { Authorization: `Bearer ${token}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+		body: body ? JSON.stringify(body) : undefined,
+	});
+	if (res.status === 401 || res.status === 404) {
+		lock(res.status === 404 ? 'admin disabled' : 'wrong token');
+		throw new Error('unauthorized');
+	}
+	const data = await res.json().catch(() => ({}));
+	if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+	return data;
+}
+
+function fmtTime(ts) {
+	return ts ? new Date(ts).toLocaleString() : '';
+}
+
+function cell(text, className) {
+	const td = document.createElement('td');
+	if (className) td.className = className;
+	td.textContent = text ?? '';
+	return td;
+}
+
+function actionCell(label, onClick) {
+	const td = document.createElement('td');
+	const btn = document.createElement('button');
+	btn.type = 'button';
+	btn.textContent = label;
+	btn.addEventListener('click', () => onClick().catch((e) => alert(e.message)));
+	td.appendChild(btn);
+	return td;
+}
+
+function renderRows(tbody, rows, build) {
+	tbody.innerHTML = '';
+	if (!rows.length) {
+		const tr = document.createElement('tr');
+		const td = cell('none', 'meta');
+		td.colSpan = tbody.closest('table').querySelectorAll('th').length;
+		tr.appendChild(td);
+		tbody.appendChild(tr);
+		return;
+	}
+	for (const row of rows) {
+		const tr = document.createElement('tr');
+		tr.append(...build(row));
+		tbody.appendChild(tr);
+	}
+}
+
+async function refresh() {
+	const [{ instance, connections }, { bans }, { rejections }] = await Promise.all([
+		api('GET', '/connections'),
+		api('GET', '/bans'),
+		api('GET', '/rejections'),
+	]);
+	instanceEl.textContent = `(instance ${instance}, ${connections.length})`;
+	renderRows(connectionsEl, connections, (c) => [
+		cell(c.id, 'code'),
+		cell(c.state),
+		cell(fmtTime(c.since)),
+		cell(c.partner || ''),
+		cell(c.room || ''),
+		cell(c.ipBucket || ''),
+		actionCell('Disconnect', async () => {
+			if (!confirm(`Disconnect ${c.id}?`)) return;
+			await api('DELETE', `/connections/${encodeURIComponent(c.id)}`);
+			await refresh();
+		}),
+	]);
+	renderRows(bansEl, bans, (b) => [
+		cell(b.target, 'code'),
+		cell(fmtTime(b.until)),
+		cell(b.reason || ''),
+		actionCell('Unban', async () => {
+			await api('DELETE', `/bans?target=${encodeURIComponent(b.target)}`);
+			await refresh();
+		}),
+	]);
+	renderRows(rejectionsEl, rejections, (r) => {
+		const { at, reason, id, ip, ...rest } = r;
+		const detail = Object.entries(rest)
+			.map(([k, v]) => `${k}=${v}`)
+			.join(' ');
+		return [cell(fmtTime(at)), cell(reason), cell(id || '', 'code'), cell(ip || ''), cell(detail)];
+	});
+	setStatus('live', 'connected');
+}
+
+function lock(reason) {
+	token = '';
+	clearInterval(refreshTimer);
+	refreshTimer = null;
+	try {
+		sessionStorage.removeItem(TOKEN_KEY);
+	} catch {}
+	btnRefresh.disabled = true;
+	btnBan.disabled = true;
+	setStatus(reason || 'locked', 'disconnected');
+}
+
+async function unlock(value) {
+	token = value;
+	setStatus('checking', 'connecting');
+	try {
+		await refresh();
+	} catch {
+		return;
+	}
+	try {
+		sessionStorage.setItem(TOKEN_KEY, token);
+	} catch {}
+	btnRefresh.disabled = false;
+	btnBan.disabled = false;
+	clearInterval(refreshTimer);
+	refreshTimer = setInterval(() => refresh().catch(() => {}), 5000);
+}
+
+btnUnlock.addEventListener('click', () => {
+	const value = tokenInput.value.trim();
+	if (!value) return alert('Enter the admin token');
+	tokenInput.value = '';
+	unlock(value);
+});
+btnRefresh.addEventListener('click', () => refresh().catch((e) => alert(e.message)));
+btnBan.addEventListener('click', async () => {
+	const target = banTarget.value.trim();
+	if (!target) return alert('Enter an IP address or CIDR range');
+	const minutes = Number(banMinutes.value.trim() || 60);
+	try {
+		await api('POST', '/bans', { target, seconds: minutes * 60, reason: banReason.value.trim() });
+		banTarget.value = '';
+		banReason.value = '';
+		await refresh();
+	} catch (e) {
+		alert(`Ban failed: ${e.message}`);
+	}
+});
+
+try {
+	const saved = sessionStorage.getItem(TOKEN_KEY);
+	if (saved) unlock(saved);
+} catch {}
@@ -0,0 +1,92 @@
+// SSO login for servers that gate signaling behind OIDC (see /config `auth`)
+// - Authorization code flow with PKCE, run in the page: no client secret, no server-side session
+// - The ID token is kept per tab (sessionStorage) and offered to the signaling server on every
+//   (re)connect as the WebSocket subprotocol bearer.<token>
+// - Behind an auth proxy (no `oidc` block) the proxy's cookie goes along with the upgrade instead
+
+const TOKEN_KEY = 'p2p.idToken';
+const FLOW_KEY = 'p2p.oidcFlow';
+
+function b64url(bytes) {
+	let s = '';
+	for (const b of new Uint8Array(bytes)) s += String.fromCharCode(b);
+	return btoa(s).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+const randomString = () => b64url(crypto.getRandomValues(new Uint8Array(32)));
+// Registered with the identity provider as the client's redirect URI
+const redirectUri = () => `${location.origin}/`;
+
+// Claims of a JWT, unverified (the server verifies; the page only reads exp, nonce and names)
+export function tokenClaims(token) {
+	try {
+		const part = atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'));
+		return JSON.parse(new TextDecoder().decode(Uint8Array.from(part, (c) => c.charCodeAt(0))));
+	} catch {
+		return {};
+	}
+}
+
+// Stored ID token that is still good for at least a minute, or null
+export function currentToken() {
+	let token = null;
+	try {
+		token = sessionStorage.getItem(TOKEN_KEY);
+	} catch {}
+	if (!token) return null;
+	const { exp } = tokenClaims(token);
+	return exp && exp * 1000 - Date.now() > 60_000 ? token : null;
+}
+
+// Leave for the identity provider; the page comes back to completeLogin()
+export async function login(oidc) {
+	const verifier = randomString();
+	const state = randomString();
+	const nonce = randomString();
+	const challenge = b64url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+	sessionStorage.setItem(FLOW_KEY, JSON.stringify({ verifier, state, nonce, back: location.href }));
+	const url = new URL(oidc.authorizationEndpoint);
+	url.search = new URLSearchParams({
+		response_type: 'code',
+		client_id: oidc.clientId,
+		redirect_uri: redirectUri(),
+		scope: oidc.scopes,
+		state,
+		nonce,
+		code_challenge: challenge,
+		code_challenge_method: 'S256',
+	}).toString();
+	location.assign(url.href);
+	return new Promise(() => {}); // navigating away
+}
+
+// Back from the identity provider: trade the code for an ID token. Resolves to null when the
+// page was not opened by a login redirect.
+export async function completeLogin(oidc) {
+	const params = new URLSearchParams(location.search);
+	if (!params.has('code') && !params.has('error')) return null;
+	let flow = null;
+	try {
+		flow = JSON.parse(sessionStorage.getItem(FLOW_KEY) || 'null');
+		sessionStorage.removeItem(FLOW_KEY);
+	} catch {}
+	// Drop code and state from the address bar (and from history)
+	history.replaceState(null, '', flow?.back || location.pathname);
+	if (params.has('error')) throw new Error(params.get('error_description') || params.get('error'));
+	if (!flow || flow.state !== params.get('state')) throw new Error('login state mismatch');
+	const res = await fetch(oidc.tokenEndpoint, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+		body: new URLSearchParams({
+			grant_type: 'authorization_code',
+			code: params.get('code'),
+			redirect_uri: redirectUri(),
+			client_id: oidc.clientId,
+			code_verifier: flow.verifier,
+		}),
+	});
+	if (!res.ok) throw new Error(`token endpoint answered ${res.status}`);
+	const { id_token: token } = await res.json();
+	if (!token || tokenClaims(token).nonce !== flow.nonce) throw new Error('invalid ID token');
+	sessionStorage.setItem(TOKEN_KEY, token);
+	return token;
+}
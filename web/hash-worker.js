@@ -0,0 +1,23 @@
+// Worker behind hashBlob() and hashStream(): SHA-256 off the page's main thread, of a whole Blob
+// or File read as a stream, or of a file sent over in parts ({ id, bytes } ..., then { id, end })
+import { createSha256, streamHash } from './sha256.js';
+
+const streams = new Map(); // id -> hash of the parts so far
+
+self.onmessage = async (ev) => {
+	const { id, blob, bytes, end } = ev.data;
+	try {
+		if (bytes) {
+			if (!streams.has(id)) streams.set(id, createSha256());
+			streams.get(id).update(bytes);
+		} else if (end) {
+			const hash = streams.get(id) || createSha256();
+			streams.delete(id);
+			self.postMessage({ id, hex: hash.digest() });
+		} else {
+			self.postMessage({ id, hex: await streamHash(blob) });
+		}
+	} catch (e) {
+		self.postMessage({ id, error: String(e.message || e) });
+	}
+};
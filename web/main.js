@@ -1,4 +1,12 @@
 import { createLogger, asFile, asId, asSize } from './logger.js';
+import { createPake, signFingerprints, verifyFingerprints } from './pake.js';
+import { createRelayChannel } from './relay.js';
+import { currentToken, login, completeLogin } from './auth.js';
+import { qrSvg, qrDecode } from './qr.js';
+import { zipBlobs } from './zip.js';
+import { sha256Hex, hashBlob, hashStream } from './sha256.js';
+import { folderSink, downloadSink, canStreamDownloads } from './sinks.js';
+import { openPartials } from './partials.js';
 const logEl = document.getElementById('log');
 const { info, warn, error, success, debug } = createLogger(logEl);
 // peer listing removed for privacy
@@ -9,14 +17,26 @@ const btnQR = document.getElementById('btnQR');
 const statusEl = document.getElementById('status');
 const statusWrap = document.getElementById('statusWrap');
 const peerIdInput = document.getElementById('peerId');
+const displayNameInput = document.getElementById('displayName');
+const passphraseInput = document.getElementById('passphrase');
 const msgTextInput = document.getElementById('msgText');
 const btnConnect = document.getElementById('btnConnect');
+const btnScan = document.getElementById('btnScan');
 let btnDisconnect = null; // will be created dynamically
 const fileInput = document.getElementById('fileInput');
+const folderInput = document.getElementById('folderInput');
+const btnAddFolder = document.getElementById('btnAddFolder');
+const sendQueueEl = document.getElementById('sendQueue');
 const btnSend = document.getElementById('btnSend');
 const btnClearFile = document.getElementById('btnClearFile');
 const sentList = document.getElementById('sentList');
 const recvList = document.getElementById('recvList');
+const btnRecvFolder = document.getElementById('btnRecvFolder');
+const roomCodeInput = document.getElementById('roomCode');
+const btnRoomCreate = document.getElementById('btnRoomCreate');
+const btnRoomJoin = document.getElementById('btnRoomJoin');
+const btnRoomLeave = document.getElementById('btnRoomLeave');
+const roomMembersEl = document.getElementById('roomMembers');
 
 // highlightImportant is imported for any external usage; logger internally uses it as well
 
@@ -26,27 +46,244 @@ try {
 	const res = await fetch('/config', { cache: 'no-store' });
 	if (res.ok) CONFIG = await res.json();
 } catch {}
+
+// Ephemeral TURN credentials (when the server mints them) expire; refetch before they do,
+// bound to our code once we have one
+async function refreshConfig() {
+	try {
+		const q = selfId ? `?peer=${encodeURIComponent(selfId)}` : '';
+		// With SSO the server only mints TURN credentials for a signed-in page
+		const token = CONFIG.auth?.oidc ? currentToken() : null;
+		const headers = token ? { Authorization: `Bearer ${token}` } : {};
+		const res = await fetch('/config' + q, { cache: 'no-store', headers });
+		if (res.ok) CONFIG = await res.json();
+	} catch {}
+}
+function iceCredentialsStale() {
+	return !!CONFIG.iceCredentialExpires && CONFIG.iceCredentialExpires - Date.now() < 5 * 60_000;
+}
+
+// Connection outcome for the server's metrics (connected, ice-failed, relay-used); fire and forget
+function reportOutcome(outcome) {
+	if (!CONFIG.reportOutcomes) return;
+	fetch('/metrics/client', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ outcome }),
+		keepalive: true,
+	}).catch(() => {});
+}
 const wsUrl = (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + CONFIG.wsPath;
-const ws = new WebSocket(wsUrl);
+const RESUME_KEY = 'p2p.resumeToken';
+const PROTOCOL_VERSION = 1; // signaling schema spoken by this page (see MESSAGE_SCHEMA in src/server.js)
+let ws = null;
 let selfId = null;
+let signalQueue = Promise.resolve();
+let wsRetry = 0;
+let wsRetryTimer = null;
+
+// Signaling socket with automatic reconnect. The resume token is kept per tab (sessionStorage),
+// so a reload or network blip gets the same code back within the server's grace window.
+function connectSignaling() {
+	const oidc = CONFIG.auth?.oidc;
+	const idToken = oidc ? currentToken() : null;
+	// Sign-in expired: sign in again, though not in the middle of a transfer (the retry comes back here)
+	if (oidc && !idToken && !pc && !roomCode) {
+		login(oidc).catch((e) => error('Sign-in failed:', e));
+		return;
+	}
+	let token = '';
+	try {
+		token = sessionStorage.getItem(RESUME_KEY) || '';
+	} catch {}
+	// The ID token rides along as a subprotocol: browsers cannot set headers on a WebSocket
+	const protocols = idToken ? ['p2p', `bearer.${idToken}`] : undefined;
+	ws = new WebSocket(token ? `${wsUrl}?resume=${encodeURIComponent(token)}` : wsUrl, protocols);
+	let opened = false;
+	ws.addEventListener('open', () => {
+		opened = true;
+		wsRetry = 0;
+	});
+	ws.addEventListener('message', onWsMessage);
+	ws.addEventListener('close', (ev) => {
+		// Another tab took over this session (e.g. duplicated tab); start fresh instead of fighting it
+		if (ev.code === 4000) {
+			try {
+				sessionStorage.removeItem(RESUME_KEY);
+			} catch {}
+		}
+		// Disconnected (or banned) by an operator: do not come straight back
+		if (ev.code === 4001) {
+			error('Disconnected by the server:', ev.reason || 'kicked', '- reload the page to reconnect');
+			setStatus('disconnected', 'disconnected');
+			return;
+		}
+		// Server is draining for a deploy: move to another instance now, spread out over 2s
+		// The server refuses upgrades without a valid sign-in (401); the socket never opens
+		if (!opened && CONFIG.auth?.required) warn('Signaling refused: sign-in missing, expired or not allowed');
+		const delay =
+			ev.code === 1012
+				? Math.floor(Math.random() * 2000)
+				: Math.min(30_000, 1000 * 2 ** wsRetry) + Math.floor(Math.random() * 500);
+		if (ev.code !== 1012) wsRetry += 1;
+		warn('Signaling disconnected, reconnecting in', `${Math.round(delay / 1000)}s`);
+		clearTimeout(wsRetryTimer);
+		wsRetryTimer = setTimeout(connectSignaling, delay);
+	});
+}
 
-ws.addEventListener('message', (ev) => {
+function onWsMessage(ev) {
 	const msg = JSON.parse(ev.data);
 	if (msg.type === 'welcome') {
+		ws.send(JSON.stringify({ type: 'hello', v: PROTOCOL_VERSION }));
+		try {
+			if (msg.resumeToken) sessionStorage.setItem(RESUME_KEY, msg.resumeToken);
+		} catch {}
+		const prevId = selfId;
 		selfId = formatCode(msg.id);
 		selfIdEl.textContent = prettyCode(selfId);
 		if (btnCopyId) btnCopyId.disabled = false;
-		success('Your code', asId(selfId));
+		if (CONFIG.iceCredentialExpires && prevId !== selfId) refreshConfig();
+		if (msg.resumed) {
+			onResumed(msg);
+		} else {
+			if (prevId && prevId !== selfId) warn('Your code changed to', asId(selfId), '- share it again');
+			else success('Your code', asId(selfId));
+			if (msg.identity && !prevId) info('Signed in as', msg.identity);
+			// Fresh session: the server no longer knows about our room
+			if (roomCode) resetRoom();
+		}
 		return;
 	}
 	if (msg.type === 'signal' && msg.from) {
-		onSignal(msg.from, msg.payload);
+		// Handle signals one at a time so slow steps (passphrase check) cannot reorder them
+		signalQueue = signalQueue.then(() => onSignal(msg.from, msg.payload)).catch((e) => error('Signal error', e));
 		return;
 	}
-});
+	if (msg.type === 'knock') {
+		onKnock(formatCode(msg.from), msg.name || '', msg.identity || '');
+		return;
+	}
+	if (msg.type === 'knock-result') {
+		onKnockResult(formatCode(msg.peer), msg.result, msg.identity || '');
+		return;
+	}
+	if (msg.type === 'error') {
+		onServerError(msg);
+		return;
+	}
+	if (msg.type === 'drain') {
+		onDrain(msg);
+		return;
+	}
+	if (msg.type === 'peer-left') {
+		onPeerLeft(formatCode(msg.peer), msg.reason);
+		return;
+	}
+	if (msg.type === 'peer-not-found') {
+		onPeerNotFound(formatCode(msg.peer));
+		return;
+	}
+	if (msg.type === 'relay-ready') {
+		onRelayReady(msg);
+		return;
+	}
+	if (msg.type === 'relay-error') {
+		const reasons = {
+			disabled: 'relay is disabled on this server',
+			forbidden: 'not allowed for this connection',
+			unavailable: 'peer is connected to another server instance',
+		};
+		warn('Relay unavailable:', reasons[msg.reason] || msg.reason);
+		return;
+	}
+	if (msg.type && msg.type.startsWith('room-')) {
+		onRoomMessage(msg);
+		return;
+	}
+}
+
+// Reconcile what the server kept for us with what this page still has
+function onResumed(msg) {
+	info('Session resumed', asId(selfId));
+	const held = msg.partner ? formatCode(msg.partner) : null;
+	if (held && !(pc && remoteId === held)) {
+		// Page was reloaded: the old peer connection is gone, release the lock and offer a reconnect
+		sendSignal(held, { type: 'bye' });
+		if (peerIdInput && !peerIdInput.value) peerIdInput.value = prettyCode(held);
+	}
+	// Our own network changed under a live link: get a new path now that signaling is back
+	if (held && pc && remoteId === held && pc._wasConnected && pc.connectionState !== 'connected') {
+		restartIce('signaling reconnected').catch((e) => error('ICE restart failed', e));
+	}
+	if (msg.room && !roomCode) {
+		// Rejoin so the other members rebuild their links to this page
+		sendWs({ type: 'room-leave' });
+		sendWs({ type: 'room-join', room: msg.room });
+	} else if (!msg.room && roomCode) {
+		resetRoom();
+	}
+}
+
+// The server is going away. Idle pages are closed (1012) and reconnect at once; a live link keeps
+// its socket until the pair ends or the server's deadline passes.
+function onDrain(msg) {
+	const busy = (pc && remoteId) || roomCode;
+	if (!busy) {
+		info('Server is restarting, moving to another one');
+		return;
+	}
+	const secs = Math.max(0, Math.round((Date.parse(msg.deadline) - Date.now()) / 1000));
+	warn('Server is restarting; this connection keeps working for up to', `${secs}s`);
+}
 
 function sendSignal(to, payload) {
-	ws.send(JSON.stringify({ to, payload }));
+	if (!ws || ws.readyState !== WebSocket.OPEN) return;
+	ws.send(JSON.stringify({ type: 'signal', to, payload }));
+}
+
+// The server refused one of our frames: say why instead of waiting for an answer that never comes
+async function onServerError(msg) {
+	const peer = msg.to ? formatCode(msg.to) : null;
+	if (msg.code === 'busy' && peer) {
+		onPeerBusy(peer);
+		return;
+	}
+	if (msg.code === 'unknown-peer') {
+		await onPeerNotFound(peer);
+		return;
+	}
+	// The peer has not accepted a connection request from us (or the session it accepted has ended)
+	if (msg.code === 'no-consent') {
+		if (peer && peer === remoteId && !connected) {
+			warn('Not allowed to connect to', asId(peer), '- request access first: click Connect and wait for approval');
+			await doDisconnect();
+			setStatus('request access first', 'disconnected');
+		} else {
+			debug('Server refused', msg.kind || 'signal', 'for', asId(peer), 'without an accepted request');
+		}
+		return;
+	}
+	if (msg.code === 'rate-limited') {
+		error('Sending too fast - the server is closing the connection');
+		setStatus('rate limited', 'disconnected');
+		return;
+	}
+	if (msg.code === 'too-large') {
+		error('Message too large for the signaling server', `(${msg.reason})`);
+		return;
+	}
+	if (msg.reason === 'unsupported-version') {
+		error('This page is out of date for the server - reload it');
+		setStatus('reload needed', 'disconnected');
+		return;
+	}
+	// Late candidates/answers from a pairing that already ended are expected
+	if (String(msg.reason).endsWith('-dropped')) {
+		debug('Server dropped', msg.kind || 'signal', 'for', asId(peer));
+		return;
+	}
+	warn('Server rejected a message:', msg.reason || msg.code, msg.ref || msg.kind || '');
 }
 
 let pc = null;
@@ -55,6 +292,19 @@ let remoteId = null;
 let connected = false;
 let connectWatchdog = null;
 let alertedConnected = false; // ensure user alert fires only once per session
+let knockPending = null; // peer we asked to connect to, awaiting their answer
+let knockPrompt = null; // { from, el } incoming connection request on screen
+let pakeSession = null; // wormhole mode: { role, ready: Promise<CryptoKey> } for the current peer
+let relayRequested = false; // ICE failed and the 1:1 session moved (or is moving) to the server relay
+let isOfferer = false; // we sent the 1:1 offer, so ICE restarts are ours to start
+let iceRestarts = 0; // attempts since the 1:1 link was last up
+let iceRestartPending = false;
+let iceRestartTimer = null;
+const MAX_ICE_RESTARTS = 3;
+
+// Group room state: one mesh link (pc + dc) per other member
+let roomCode = null;
+const roomLinks = new Map(); // peerId -> { id, pc, dc, state }
 
 // Format/normalize 6-char peer codes
 function normalizeCode(input) {
@@ -71,29 +321,227 @@ function prettyCode(input) {
 	if (s.length <= 3) return s;
 	return s.slice(0, 3) + '-' + s.slice(3);
 }
+function setStatus(text, state) {
+	statusEl.textContent = text;
+	if (statusWrap) {
+		statusWrap.classList.remove('connected', 'connecting', 'disconnected');
+		statusWrap.classList.add(state);
+	}
+}
+
 // Centralized UI update for file-related controls
 function updateFileUi() {
-	const hasFile = !!(fileInput && fileInput.files && fileInput.files.length);
+	const hasFile = sendQueue.length > 0;
 	const hasMsg = !!(msgTextInput && msgTextInput.value.trim().length);
-	// Clear button: visible only when a file is selected
+	// Clear button: visible only when files are queued or a message is typed
 	if (btnClearFile) {
 		const hasSomething = hasFile || hasMsg;
 		btnClearFile.style.display = hasSomething ? '' : 'none';
 		btnClearFile.disabled = !hasSomething;
 	}
-	// Send button depends on file or message presence and connection state
+	// Send button depends on queue or message presence and connection state; one run at a time
 	if (btnSend) {
-		const canSend = (hasFile || hasMsg) && connected && dc && dc.readyState === 'open';
+		const canSend = (hasFile || hasMsg) && openChannels().length > 0 && !queueRunning;
 		btnSend.disabled = !canSend;
 	}
 }
 
+// Files waiting to be sent, in order. Send works through them one at a time, so entries that
+// have not started can still be moved or removed.
+const sendQueue = []; // { id, file, path, preview?, thumb? }
+let queueRunning = false;
+
+// Entries are File objects (folder picks carry the path below the chosen folder, including its
+// name) or { file, path, preview? } from drops and pastes
+function enqueueFiles(files) {
+	for (const entry of files) {
+		const { file, path, preview } =
+			entry instanceof File ? { file: entry, path: entry.webkitRelativePath || entry.name } : entry;
+		const item = { id: crypto.randomUUID(), file, path, preview: preview || '' };
+		// Images get a thumbnail in the queue, so what goes out is visible before Send
+		if (file.type.startsWith('image/') && file.size <= 20 * 1024 * 1024) item.thumb = URL.createObjectURL(file);
+		sendQueue.push(item);
+	}
+	renderQueue();
+	updateFileUi();
+}
+
+// Entries leaving the queue (sent or removed) let go of their thumbnails
+function unqueue(items) {
+	for (const item of items) {
+		if (item.thumb) URL.revokeObjectURL(item.thumb);
+	}
+}
+
+function renderQueue() {
+	if (!sendQueueEl) return;
+	sendQueueEl.innerHTML = '';
+	sendQueue.forEach((item, i) => {
+		const li = document.createElement('li');
+		if (item.thumb) {
+			const img = document.createElement('img');
+			img.className = 'thumb';
+			img.src = item.thumb;
+			img.alt = '';
+			li.appendChild(img);
+		}
+		const path = document.createElement('span');
+		path.className = 'path';
+		path.textContent = item.path;
+		path.title = item.path;
+		// Pasted rich text: the start of its text
+		if (item.preview) {
+			const preview = document.createElement('span');
+			preview.className = 'preview';
+			preview.textContent = item.preview;
+			path.appendChild(preview);
+		}
+		const size = document.createElement('span');
+		size.className = 'meta';
+		size.textContent = fmtSize(item.file.size);
+		const button = (text, title, disabled, onClick) => {
+			const b = document.createElement('button');
+			b.type = 'button';
+			b.textContent = text;
+			b.title = title;
+			b.setAttribute('aria-label', title);
+			b.disabled = disabled;
+			b.addEventListener('click', onClick);
+			return b;
+		};
+		const move = (to) => () => {
+			sendQueue.splice(to, 0, ...sendQueue.splice(i, 1));
+			renderQueue();
+		};
+		li.append(
+			path,
+			size,
+			button('\u2191', 'Move up', i === 0, move(i - 1)),
+			button('\u2193', 'Move down', i === sendQueue.length - 1, move(i + 1)),
+			button('\u00d7', 'Remove', false, () => {
+				unqueue(sendQueue.splice(i, 1));
+				renderQueue();
+				updateFileUi();
+			}),
+		);
+		sendQueueEl.appendChild(li);
+	});
+}
+
+// Relative path from a file header, reduced to plain folder and file names: no absolute paths,
+// no '..', nothing a file system would refuse
+function safePath(path, fallback) {
+	const parts = String(path || '')
+		.split(/[\\/]+/)
+		.map((p) => p.replace(/[\u0000-\u001f<>:"|?*]/g, '_').trim())
+		.filter((p) => p && p !== '.' && p !== '..');
+	return parts.length ? parts.join('/') : fallback;
+}
+
+// Save every received file of a folder (same sender, same top folder) with its subfolders: into a
+// directory the user picks where the browser allows it, otherwise as one .zip
+async function saveFolder(t) {
+	const folder = t.path.split('/')[0];
+	const items = transfers.recv.filter(
+		(x) =>
+			x.blob &&
+			x.status === 'done' &&
+			(x.from || null) === (t.from || null) &&
+			x.path.includes('/') &&
+			x.path.split('/')[0] === folder,
+	);
+	try {
+		if (window.showDirectoryPicker) {
+			let root;
+			try {
+				root = await window.showDirectoryPicker({ mode: 'readwrite' });
+			} catch {
+				return; // picker cancelled
+			}
+			for (const x of items) {
+				const parts = x.path.split('/');
+				const fileName = parts.pop();
+				let dir = root;
+				for (const part of parts) dir = await dir.getDirectoryHandle(part, { create: true });
+				const writable = await (await dir.getFileHandle(fileName, { create: true })).createWritable();
+				await writable.write(x.blob);
+				await writable.close();
+			}
+		} else {
+			const zip = await zipBlobs(items.map((x) => ({ path: x.path, blob: x.blob })));
+			const a = document.createElement('a');
+			a.href = URL.createObjectURL(zip);
+			a.download = `${folder}.zip`;
+			a.click();
+			setTimeout(() => URL.revokeObjectURL(a.href), 60_000);
+		}
+		success('Saved folder', asFile(folder), `(${items.length} files)`);
+	} catch (e) {
+		error('Saving folder failed:', e.message || e);
+	}
+}
+
+// Open data channels to send over: every open room link, or the single 1:1 channel
+function openChannels() {
+	if (roomCode) {
+		return [...roomLinks.values()]
+			.filter((l) => l.dc && l.dc.readyState === 'open')
+			.map((l) => ({ channel: l.dc, to: l.id }));
+	}
+	if (connected && dc && dc.readyState === 'open') return [{ channel: dc, to: null }];
+	return [];
+}
+
 // Simple store for transfers
 const transfers = {
-	sent: [], // { id, name, size, mime, message?, sent, status, createdAt }
-	recv: [], // { id, name, size, mime, message?, received, status, url?, createdAt }
+	sent: [], // { id, name, size, mime, message?, to?, fp?, sent, acked?, status, createdAt }
+	recv: [], // { id, name, size, mime, message?, from?, fp?, received, status, url?, createdAt }
 };
 
+// Partly received files (IndexedDB); what is left of transfers abandoned a week ago goes
+const partialsReady = openPartials();
+partialsReady.then((p) => p.purge(7 * 24 * 3600 * 1000)).catch(() => {});
+
+// Files larger than this are not held in the page's memory where they can go to disk instead
+const MEMORY_MAX = 64 * 1024 * 1024;
+let receiveDir = null; // folder picked for received files (File System Access API)
+const openSinks = new Map(); // fp -> sink of a streamed file, kept while it is paused
+
+// Where an incoming file is written as it arrives: into the picked folder, or a streaming download
+// for large files. null: it is kept in memory (or the partials store).
+async function openSink(meta, path) {
+	let sink = null;
+	try {
+		if (receiveDir) sink = await folderSink(receiveDir, path);
+		else if (meta.size > MEMORY_MAX && canStreamDownloads()) {
+			sink = await downloadSink({ name: path.split('/').pop(), size: meta.size, mime: meta.mime });
+		}
+	} catch (e) {
+		warn('Cannot write', asFile(path), 'to disk:', e.message || e);
+	}
+	if (sink) sink.hash = hashStream();
+	else if (meta.size > MEMORY_MAX && !meta.fp) warn('Receiving', asFile(path), asSize(meta.size), 'in memory');
+	return sink;
+}
+
+// Give up a paused incoming file: what was stored or streamed of it goes
+function dropPartial(t) {
+	const sink = openSinks.get(t.fp);
+	openSinks.delete(t.fp);
+	if (sink) sink.abort().catch(() => {});
+	else partialsReady.then((p) => p.remove(t.fp)).catch(() => {});
+}
+
+// The link to a peer (null: the 1:1 peer) is gone. Files with a fingerprint pause and pick up
+// again when the peer is back; other unfinished transfers with it will not complete.
+function failOpenTransfers(peer) {
+	const sent = transfers.sent.filter((t) => t.status === 'sending' && (t.to || null) === peer);
+	const recv = transfers.recv.filter((t) => t.status === 'receiving' && (t.from || null) === peer);
+	for (const t of [...sent, ...recv]) t.status = t.fp ? 'paused' : 'failed';
+	if (sent.length) renderList(sentList, transfers.sent, 'sent');
+	if (recv.length) renderList(recvList, transfers.recv, 'recv');
+}
+
 function fmtSize(bytes) {
 	if (bytes < 1024) return `${bytes} B`;
 	if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
@@ -119,7 +567,9 @@ function renderList(listEl, items, type) {
 		.forEach((t) => {
 			const li = document.createElement('li');
 			li.className = 'item';
-			const isMessageOnly = (!t.size || t.size === 0) && t.message && String(t.message).trim();
+			const isMessageOnly = (!t.size || t.size === 0) && !t.path && t.message && String(t.message).trim();
+			// Empty files still count as files when they came with a path (folder sends)
+			const isFile = t.size > 0 || !!t.path;
 			const timeText = fmtTime(t.createdAt || Date.now());
 
 			// Thumbnail/icon column (omit for message-only)
@@ -148,6 +598,9 @@ function renderList(listEl, items, type) {
 				const arr = type === 'sent' ? transfers.sent : transfers.recv;
 				const idx = arr.findIndex((x) => x.id === t.id);
 				if (idx !== -1) {
+					// A paused transfer is given up along with its row
+					if (t.status === 'paused' && type === 'sent') dropPausedSend(t);
+					if (t.status === 'paused' && type === 'recv') dropPartial(t);
 					// Revoke any object URL to free memory
 					try {
 						if (arr[idx] && arr[idx].url) URL.revokeObjectURL(arr[idx].url);
@@ -184,11 +637,14 @@ function renderList(listEl, items, type) {
 			titleRow.className = 'title-row';
 			const name = document.createElement('div');
 			name.className = 'name';
-			name.textContent = t.name || '(unknown)';
+			name.textContent = t.path || t.name || '(unknown)';
+			name.title = name.textContent;
 			// status badge (placed in second row)
 			const status = document.createElement('span');
-			status.className = 'badge ' + (t.status === 'done' ? 'ok' : 'warn');
-			status.textContent = t.status || 'pending';
+			status.className = 'badge ' + (t.status === 'done' ? 'ok' : t.status === 'corrupted' ? 'bad' : 'warn');
+			status.textContent = t.status === 'done' && t.integrity === 'verified' ? 'verified' : t.status || 'pending';
+			if (t.integrity)
+				status.title = `SHA-256 ${t.integrity === 'verified' ? 'matches' : 'does not match'} the sender's`;
 			titleRow.append(name, closeBtn);
 
 			// Second row: size (current/total) + status
@@ -197,6 +653,14 @@ function renderList(listEl, items, type) {
 			const sizeEl = document.createElement('div');
 			sizeEl.className = 'meta';
 			subRow.append(sizeEl, status);
+			// Room transfers: show which member the row belongs to
+			const peer = type === 'sent' ? t.to : t.from;
+			if (peer) {
+				const peerEl = document.createElement('span');
+				peerEl.className = 'meta peer';
+				peerEl.textContent = (type === 'sent' ? '\u2192 ' : '\u2190 ') + prettyCode(peer);
+				subRow.append(peerEl);
+			}
 			const timeEl = document.createElement('div');
 			timeEl.className = 'meta time';
 			timeEl.textContent = timeText;
@@ -216,7 +680,7 @@ function renderList(listEl, items, type) {
 
 			// Current transferred bytes for progress bar and percent
 			const cur = type === 'sent' ? t.sent || 0 : t.received || 0;
-			if (t.size && t.size > 0) {
+			if (isFile) {
 				sizeEl.textContent = `${fmtSize(cur)} / ${fmtSize(t.size || 0)}`;
 			} else {
 				sizeEl.textContent = 'message';
@@ -230,7 +694,7 @@ function renderList(listEl, items, type) {
 			progress.value = cur;
 			const pctLabel = document.createElement('div');
 			pctLabel.className = 'progress-label';
-			const pct = t.size ? Math.floor((cur / t.size) * 100) : 0;
+			const pct = t.size ? Math.floor((cur / t.size) * 100) : t.status === 'done' ? 100 : 0;
 			pctLabel.textContent = `${pct}%`;
 			progressRow.append(progress, pctLabel);
 
@@ -252,6 +716,22 @@ function renderList(listEl, items, type) {
 				dl.download = t.name || 'file';
 				dl.textContent = 'Download';
 				actions.appendChild(dl);
+				// Part of a folder: save it whole, subfolders included
+				if (t.path && t.path.includes('/') && t.blob) {
+					const saveBtn = document.createElement('button');
+					saveBtn.type = 'button';
+					saveBtn.textContent = 'Save folder';
+					saveBtn.title = `Save ${t.path.split('/')[0]}/ with its subfolders`;
+					saveBtn.addEventListener('click', () => saveFolder(t));
+					actions.append(document.createTextNode(' '), saveBtn);
+				}
+			}
+			// Written to disk as it arrived
+			if (type === 'recv' && t.savedTo && t.status === 'done') {
+				const where = document.createElement('span');
+				where.className = 'meta';
+				where.textContent = `Saved to ${t.savedTo}`;
+				actions.append(document.createTextNode(' '), where);
 			}
 
 			// For sent files (after completion), allow viewing the local blob as well
@@ -264,7 +744,7 @@ function renderList(listEl, items, type) {
 				actions.appendChild(view);
 			}
 
-			if (t.size && t.size > 0) {
+			if (isFile) {
 				if (messageRow) content.append(titleRow, subRow, messageRow, progressRow, actions);
 				else content.append(titleRow, subRow, progressRow, actions);
 			}
@@ -273,27 +753,32 @@ function renderList(listEl, items, type) {
 			listEl.appendChild(li);
 
 			// Save refs for live updates
-			t._progressEl = t.size && t.size > 0 ? progress : null;
+			t._progressEl = isFile ? progress : null;
 			t._metaEl = sizeEl; // static size info (no progress text here)
 			t._statusEl = status;
-			t._pctEl = t.size && t.size > 0 ? pctLabel : null;
+			t._pctEl = isFile ? pctLabel : null;
 		});
 }
 
-async function ensurePc() {
-	if (pc) return pc;
-	// Warn if not on HTTPS (most mobile browsers require secure context for WebRTC)
-	if (location.protocol !== 'https:' && location.hostname !== 'localhost') {
-		warn('Not using HTTPS. Mobile browsers may block WebRTC or data channels.');
-	}
-	pc = new RTCPeerConnection({
+function rtcConfig() {
+	return {
 		iceServers:
 			Array.isArray(CONFIG.iceServers) && CONFIG.iceServers.length
 				? CONFIG.iceServers
 				: [{ urls: ['stun:stun.l.google.com:19302'] }],
 		// If server suggests relay-only for mobile/cellular, honor it
 		iceTransportPolicy: CONFIG.iceTransportPolicy === 'relay' ? 'relay' : 'all',
-	});
+	};
+}
+
+async function ensurePc() {
+	if (pc) return pc;
+	if (iceCredentialsStale()) await refreshConfig();
+	// Warn if not on HTTPS (most mobile browsers require secure context for WebRTC)
+	if (location.protocol !== 'https:' && location.hostname !== 'localhost') {
+		warn('Not using HTTPS. Mobile browsers may block WebRTC or data channels.');
+	}
+	pc = new RTCPeerConnection(rtcConfig());
 	// Track candidate types for diagnostics
 	pc._candStats = { host: 0, srflx: 0, relay: 0, prflx: 0, total: 0 };
 	pc.onicecandidate = (ev) => {
@@ -318,6 +803,8 @@ async function ensurePc() {
 		}
 	};
 	pc.onconnectionstatechange = () => {
+		// The failed peer connection no longer matters once the session is on the relay
+		if (relayRequested) return;
 		statusEl.textContent = pc.connectionState;
 		if (statusWrap) {
 			statusWrap.classList.remove('connected', 'connecting', 'disconnected');
@@ -327,6 +814,11 @@ async function ensurePc() {
 			else statusWrap.classList.add('disconnected');
 		}
 		if (pc.connectionState === 'connected') {
+			if (iceRestarts) success('Connection restored');
+			pc._wasConnected = true;
+			iceRestarts = 0;
+			iceRestartPending = false;
+			clearTimeout(iceRestartTimer);
 			connected = true;
 			setUiConnected(true);
 		} else if (
@@ -337,6 +829,15 @@ async function ensurePc() {
 			connected = false;
 			setUiConnected(false);
 		}
+		// A dropped path often comes back by itself within a few seconds; restart ICE if it does not
+		if (pc.connectionState === 'disconnected' && pc._wasConnected) {
+			const stalled = pc;
+			setTimeout(() => {
+				if (pc === stalled && pc.connectionState === 'disconnected') {
+					restartIce('connection lost').catch((e) => error('ICE restart failed', e));
+				}
+			}, 3000);
+		}
 	};
 	pc.ondatachannel = (ev) => {
 		dc = ev.channel;
@@ -350,19 +851,42 @@ async function ensurePc() {
 		debug('iceConnectionState =', pc.iceConnectionState);
 		// Surface likely mobile issues
 		if (pc.iceConnectionState === 'failed') {
-			warn('ICE failed. On mobile/cellular you may need a TURN server.');
+			// A link that worked before lost its path: look for a new one first
+			if (pc._wasConnected) {
+				restartIce('ICE failed').catch((e) => error('ICE restart failed', e));
+				return;
+			}
+			reportOutcome('ice-failed');
+			if (!fallBackToRelay()) warn('ICE failed. On mobile/cellular you may need a TURN server.');
 		}
 	};
 	return pc;
 }
 
-function wireDc() {
-	if (!dc) return;
-	dc.binaryType = 'arraybuffer';
+// Wire a data channel: the 1:1 channel by default, or a room member's link
+function wireDc(channel = dc, link = null) {
+	if (!channel) return;
+	channel.binaryType = 'arraybuffer';
 	// Better backpressure signaling for sender
-	dc.bufferedAmountLowThreshold = 1 * 1024 * 1024; // 1MB
-	dc.onopen = () => {
-		success('DataChannel open');
+	channel.bufferedAmountLowThreshold = 1 * 1024 * 1024; // 1MB
+	channel.onopen = () => {
+		if (link) {
+			success('Room link open', asId(link.id));
+			reportOutcome('connected');
+			link.state = 'open';
+			renderRoomMembers();
+			updateFileUi();
+			resumePaused(link.id, channel);
+			return;
+		}
+		if (channel.label === 'relay') {
+			success('Relay open, files now pass through the server');
+			setStatus('connected (relay)', 'connected');
+			reportOutcome('relay-used');
+		} else {
+			success('DataChannel open');
+			reportOutcome('connected');
+		}
 		if (remoteId) success('Connected to', asId(remoteId));
 		// Notify the user once the peer connection is established
 		if (!alertedConnected) {
@@ -374,102 +898,339 @@ function wireDc() {
 		connected = true;
 		setUiConnected(true);
 		updateFileUi();
+		if (remoteId) resumePaused(remoteId, channel);
 	};
-	dc.onclose = () => {
+	channel.onclose = () => {
+		// Keep what arrived of a resumable file; a stream that cannot resume is given up
+		inbox = inbox
+			.then(flush)
+			.then(() => {
+				if (sink && !meta?.fp) sink.abort().catch(() => {});
+			})
+			.catch(() => {});
+		failOpenTransfers(link ? link.id : null);
+		if (link) {
+			if (roomLinks.get(link.id) === link) link.state = 'closed';
+			renderRoomMembers();
+			updateFileUi();
+			return;
+		}
+		if (channel.closeReason === 'quota') warn('Relay limit reached, the server closed the relay');
+		else if (channel.closeReason === 'idle') warn('Relay closed after inactivity');
 		warn('DataChannel closed');
 		connected = false;
 		alertedConnected = false; // allow alert on next successful connection
 		setUiConnected(false);
 		updateFileUi();
 	};
-	// Receiving protocol: header JSON, then chunks, then end JSON
-	let expectingHeader = true;
+	// Receiving protocol: header JSON, then chunks, then end JSON. A header with an id and a
+	// fingerprint (fp) is resumable: we answer with the bytes already held (file-resume), store
+	// what arrives in pieces and acknowledge each stored piece (file-ack).
+	// Senders that announce blocks follow each one with its SHA-256 (file-block); a corrupted
+	// block is asked for again (file-retry) and everything up to the sender's file-seek is dropped.
+	// file-end carries the SHA-256 of the whole file.
 	let meta = null;
-	let received = 0;
-	const chunks = [];
-	dc.onmessage = (ev) => {
-		if (typeof ev.data === 'string') {
-			const msg = JSON.parse(ev.data);
-			if (msg.type === 'file-header') {
-				meta = msg;
-				expectingHeader = false;
-				received = 0;
-				// Track a new incoming transfer
-				const rec = {
-					id: crypto.randomUUID(),
-					name: meta.name || (meta.size ? '(unknown)' : '(message)'),
-					size: meta.size,
-					mime: meta.mime,
-					message: meta.message || '',
-					received: 0,
-					status: 'receiving',
-					createdAt: Date.now(),
-				};
-				transfers.recv.push(rec);
-				renderList(recvList, transfers.recv, 'recv');
-				// keep reference to last item for progress updates
-				dc._currentRecv = rec;
-			} else if (msg.type === 'file-end') {
-				const rec = dc._currentRecv;
-				// If it's a message-only transfer (no bytes expected)
-				const isMessageOnly = (meta?.size || 0) === 0;
-				if (!isMessageOnly) {
-					const blob = new Blob(chunks, { type: meta?.mime || 'application/octet-stream' });
-					const url = URL.createObjectURL(blob);
-					if (rec) {
-						rec.url = url; // show manual Download link in actions
-					}
+	let rec = null;
+	let received = 0; // offset in the file
+	let stored = 0; // bytes kept in the partials store, or written to the sink
+	let sink = null; // where the file goes on disk, if not to memory
+	const chunks = []; // checked bytes not stored yet
+	const block = []; // bytes of the block being received, not checked yet
+	let blockStart = 0;
+	let skipTo = null; // offset of a block asked for again (Infinity: the rest is dropped)
+	let retries = new Map(); // block offset -> times asked for again
+	let inbox = Promise.resolve(); // messages are handled one after another
+
+	async function flush() {
+		if (!chunks.length || (!sink && !meta?.fp)) return;
+		const piece = new Blob(chunks);
+		chunks.length = 0;
+		if (sink) {
+			const bytes = new Uint8Array(await piece.arrayBuffer());
+			sink.hash.update(bytes);
+			try {
+				await sink.write(bytes);
+			} catch (e) {
+				return dropSink(e);
+			}
+		} else {
+			const partials = await partialsReady;
+			await partials.append(meta.fp, { name: meta.name, size: meta.size, mime: meta.mime }, stored, piece);
+		}
+		stored += piece.size;
+		if (channel.readyState === 'open') channel.send(JSON.stringify({ type: 'file-ack', id: meta.id, offset: stored }));
+	}
+
+	// Pieces are stored every few MB; a sink takes each checked block
+	const flushDue = () => (sink || meta.fp) && received - stored >= (sink ? BLOCK_BYTES : PIECE_BYTES);
+
+	// The disk or the download gave out (cancelled, full): the rest of the file is dropped
+	async function dropSink(e) {
+		error('Saving', asFile(rec?.path || rec?.name || 'file'), 'failed:', e.message || e);
+		openSinks.delete(meta.fp);
+		await sink.abort().catch(() => {});
+		sink = null;
+		skipTo = Infinity;
+		if (rec) rec.status = 'failed';
+		renderList(recvList, transfers.recv, 'recv');
+		// No point in sending the rest
+		if (meta.id && channel.readyState === 'open') channel.send(JSON.stringify({ type: 'file-cancel', id: meta.id }));
+	}
+
+	async function onHeader(msg) {
+		meta = msg;
+		chunks.length = block.length = 0;
+		received = stored = 0;
+		sink = null;
+		skipTo = null;
+		retries = new Map();
+		// Track the incoming transfer; a paused row for the same file picks up again
+		rec = (meta.fp && transfers.recv.find((t) => t.fp === meta.fp && t.status === 'paused')) || null;
+		if (rec) {
+			rec.status = 'receiving';
+			rec.from = link ? link.id : null;
+		} else {
+			const name = meta.name || (meta.size || meta.path ? '(unknown)' : '(message)');
+			rec = {
+				id: crypto.randomUUID(),
+				name,
+				path: meta.path ? safePath(meta.path, name) : '',
+				size: meta.size,
+				mime: meta.mime,
+				message: meta.message || '',
+				from: link ? link.id : null,
+				fp: meta.fp || '',
+				received: 0,
+				status: 'receiving',
+				createdAt: Date.now(),
+			};
+			transfers.recv.push(rec);
+		}
+		if (meta.size > 0) {
+			// A streamed file goes on in its sink, others from what the partials store holds
+			sink = (meta.fp && openSinks.get(meta.fp)) || null;
+			if (sink) received = sink.written;
+			else if (meta.id && meta.fp) {
+				const partials = await partialsReady;
+				received = Math.min(await partials.offset(meta.fp, meta.size).catch(() => 0), meta.size);
+			}
+			if (!sink && !received) sink = await openSink(meta, rec.path || safePath(rec.name, 'file'));
+			if (sink && meta.fp) openSinks.set(meta.fp, sink);
+			if (sink) rec.savedTo = sink.label;
+		}
+		stored = blockStart = rec.received = received;
+		if (meta.id) {
+			const reply = { type: 'file-resume', id: meta.id, offset: received, verify: !!meta.block };
+			channel.send(JSON.stringify(reply));
+		}
+		if (received) info('Resuming', asFile(rec.path || rec.name), 'from', asSize(received));
+		renderList(recvList, transfers.recv, 'recv');
+	}
+
+	// The sender's checksum for the block just received
+	async function onBlock(msg) {
+		if (!meta || skipTo !== null || msg.id !== meta.id) return;
+		const bytes = new Uint8Array(await new Blob(block).arrayBuffer());
+		const intact = msg.offset === blockStart && bytes.length === msg.size && (await sha256Hex(bytes)) === msg.sha256;
+		const label = asFile(rec?.path || rec?.name || meta.name);
+		if (!intact) {
+			const tries = (retries.get(blockStart) || 0) + 1;
+			retries.set(blockStart, tries);
+			if (tries <= MAX_BLOCK_RETRIES) {
+				warn('Corrupted block at', asSize(blockStart), 'in', label, '- asking for it again');
+				block.length = 0;
+				received = skipTo = blockStart;
+				channel.send(JSON.stringify({ type: 'file-retry', id: meta.id, offset: blockStart }));
+				return;
+			}
+			// Kept as it is; the check of the whole file reports it
+			warn('Block at', asSize(blockStart), 'in', label, 'is still corrupted after', tries - 1, 'retries');
+		}
+		chunks.push(...block);
+		block.length = 0;
+		blockStart = received;
+		// Tell the sender once the last block is fine, so it can end the file
+		if (msg.offset + msg.size >= meta.size) channel.send(JSON.stringify({ type: 'file-checked', id: meta.id }));
+		if (flushDue()) await flush();
+	}
+
+	function onSeek(msg) {
+		if (skipTo === null || msg.id !== meta?.id || msg.offset !== skipTo) return;
+		skipTo = null;
+	}
+
+	async function onEnd(msg) {
+		// If it's a message-only transfer (no bytes expected; files always carry a path)
+		const isMessageOnly = (meta?.size || 0) === 0 && !meta?.path;
+		const label = asFile(rec?.path || rec?.name || meta?.name || 'file');
+		// Already failed on the way (the sink gave out)
+		if (skipTo === Infinity) return reset();
+		if (!isMessageOnly && rec) {
+			// Bytes the sender never sent a checksum for; the whole file's SHA-256 still covers them
+			chunks.push(...block);
+			block.length = 0;
+			let blob = null; // the file, in memory or read back from disk
+			let size = 0;
+			let sum = null;
+			if (sink) {
+				await flush();
+				if (!sink) return reset();
+				openSinks.delete(meta.fp);
+				size = sink.written;
+				sum = await sink.hash.digest().catch(() => null);
+			} else {
+				let parts = chunks.slice();
+				if (meta.fp) {
+					await flush();
+					parts = await (await partialsReady).blobs(meta.fp);
 				}
-				if (rec) {
-					rec.status = 'done';
-					rec.received = rec.size;
+				blob = new Blob(parts, { type: meta.mime || 'application/octet-stream' });
+				if (meta.fp) (await partialsReady).remove(meta.fp).catch(() => {});
+				size = blob.size;
+				if (msg.sha256 && size === meta.size) {
+					rec.status = 'verifying';
 					renderList(recvList, transfers.recv, 'recv');
+					sum = await hashBlob(blob).catch(() => null);
+				}
+			}
+			if (size !== meta.size) {
+				rec.status = 'failed';
+				warn('Received file', label, 'incomplete:', asSize(size), 'of', asSize(meta.size));
+			} else if (msg.sha256 && sum) {
+				rec.integrity = sum === msg.sha256 ? 'verified' : 'corrupted';
+				if (rec.integrity === 'corrupted') {
+					rec.status = 'corrupted';
+					error('Received file', label, "is corrupted: its SHA-256 does not match the sender's");
 				}
-				if (isMessageOnly) {
-					success('Received message');
-				} else {
-					success(
-						'Received file',
-						asFile(rec?.name || meta?.name || 'file'),
-						'complete',
-						asSize(rec?.size || meta?.size || 0)
-					);
+			}
+			const kept = rec.status !== 'failed' && rec.status !== 'corrupted';
+			if (sink && !kept) await sink.abort().catch(() => {});
+			if (sink && kept) {
+				try {
+					blob = await sink.close();
+				} catch (e) {
+					rec.status = 'failed';
+					error('Saving', label, 'failed:', e.message || e);
 				}
-				// reset
-				meta = null;
-				expectingHeader = true;
-				received = 0;
-				chunks.length = 0;
 			}
-			return;
+			if (blob && rec.status !== 'failed' && rec.status !== 'corrupted') {
+				rec.url = URL.createObjectURL(blob); // show manual Download link in actions
+				rec.blob = blob; // for saving whole folders
+			}
 		}
-		// Binary chunk
-		chunks.push(ev.data);
-		received += ev.data.byteLength || ev.data.size || 0;
-		if (dc._currentRecv) {
-			dc._currentRecv.received = received;
-			if (dc._currentRecv._progressEl) dc._currentRecv._progressEl.value = received;
-			if (dc._currentRecv._metaEl)
-				dc._currentRecv._metaEl.textContent = `${fmtSize(received)} / ${fmtSize(dc._currentRecv.size || 0)}`;
-			if (dc._currentRecv._pctEl) {
-				const total = dc._currentRecv.size || 0;
+		if (rec && rec.status !== 'failed' && rec.status !== 'corrupted') {
+			rec.status = 'done';
+			rec.received = rec.size;
+			const saved = rec.savedTo ? ['- saved to', rec.savedTo] : [];
+			if (isMessageOnly) success('Received message');
+			else if (rec.integrity === 'verified') {
+				success('Received file', label, 'complete and verified', asSize(rec.size), ...saved);
+			} else success('Received file', label, 'complete', asSize(rec.size || 0), ...saved);
+		}
+		reset();
+	}
+
+	function reset() {
+		renderList(recvList, transfers.recv, 'recv');
+		meta = null;
+		rec = null;
+		sink = null;
+		received = stored = 0;
+		chunks.length = block.length = 0;
+		skipTo = null;
+	}
+
+	async function onChunk(data) {
+		// No header: nothing to add it to. A block asked for again: dropped until the sender goes back.
+		if (!meta || skipTo !== null) return;
+		if (meta.block) block.push(data);
+		else chunks.push(data);
+		received += data.byteLength || data.size || 0;
+		if (rec) {
+			rec.received = received;
+			if (rec._progressEl) rec._progressEl.value = received;
+			if (rec._metaEl) rec._metaEl.textContent = `${fmtSize(received)} / ${fmtSize(rec.size || 0)}`;
+			if (rec._pctEl) {
+				const total = rec.size || 0;
 				const pct = total ? Math.floor((received / total) * 100) : 0;
-				dc._currentRecv._pctEl.textContent = `${pct}%`;
+				rec._pctEl.textContent = `${pct}%`;
+			}
+		}
+		if (!meta.block && flushDue()) await flush();
+	}
+
+	channel.onmessage = (ev) => {
+		let msg = null;
+		if (typeof ev.data === 'string') {
+			try {
+				msg = JSON.parse(ev.data);
+			} catch {
+				return;
+			}
+			// Answers about our own sends do not wait behind incoming data
+			if (['file-resume', 'file-ack', 'file-retry', 'file-checked', 'file-cancel'].includes(msg.type)) {
+				return onSendReply(channel, msg);
 			}
 		}
+		inbox = inbox
+			.then(() => {
+				if (!msg) return onChunk(ev.data);
+				if (msg.type === 'file-header') return onHeader(msg);
+				if (msg.type === 'file-block') return onBlock(msg);
+				if (msg.type === 'file-seek') return onSeek(msg);
+				if (msg.type === 'file-end') return onEnd(msg);
+			})
+			.catch((e) => error('Receiving failed:', e.message || e));
 	};
 }
 
+// Our signal could not be delivered: the code is unknown or its owner is offline
+async function onPeerNotFound(peer) {
+	// A live link whose peer is briefly offline (e.g. switching networks) waits for the next restart
+	if (peer && peer === remoteId && pc?._wasConnected && dc?.readyState === 'open') {
+		debug('Peer', asId(peer), 'is offline, waiting for it to come back');
+		return;
+	}
+	warn('No peer with code', asId(peer), '- it may have gone offline');
+	// The 1:1 peer vanished before we connected
+	if (peer && peer === remoteId && !connected) {
+		remoteId = null;
+		await doDisconnect();
+		setStatus('peer not found', 'disconnected');
+	}
+}
+
+// The server saw our 1:1 peer's signaling socket close ('offline', it may resume) or its session end ('gone')
+async function onPeerLeft(peer, reason) {
+	if (!peer || peer !== remoteId) return;
+	// An open data channel does not need the signaling server; it closes by itself if the peer is really gone.
+	// A peer that is only offline may be changing networks, so an interrupted link waits for it.
+	if (dc && dc.readyState === 'open' && (connected || reason === 'offline')) {
+		info('Peer lost its server connection', asId(peer), connected ? '- the link is still up' : '- waiting for it');
+		return;
+	}
+	warn(reason === 'gone' ? 'Peer left' : 'Peer went offline', asId(peer));
+	failOpenTransfers(null);
+	remoteId = null; // no bye for a peer that is not there
+	await doDisconnect();
+	setStatus('peer left', 'disconnected');
+}
+
+function onPeerBusy(from) {
+	warn('Peer is busy', asId(from));
+	setStatus('peer busy', 'disconnected');
+	setUiConnected(false);
+}
+
 async function onSignal(from, payload) {
 	from = formatCode(from);
+	// Signals from fellow room members belong to their mesh link
+	if (roomCode && roomLinks.has(from)) {
+		await onRoomSignal(roomLinks.get(from), payload);
+		return;
+	}
 	if (payload?.type === 'busy') {
-		warn('Peer is busy', asId(from));
-		statusEl.textContent = 'peer busy';
-		if (statusWrap) {
-			statusWrap.classList.remove('connected', 'connecting');
-			statusWrap.classList.add('disconnected');
-		}
-		setUiConnected(false);
+		onPeerBusy(from);
 		return;
 	}
 
@@ -479,6 +1240,17 @@ async function onSignal(from, payload) {
 		return;
 	}
 
+	if (payload?.type === 'pake') {
+		if (from === remoteId) await onPake(from, payload);
+		return;
+	}
+
+	// The answering side lost the path and asks us (the offerer) for an ICE restart
+	if (payload?.type === 'restart') {
+		if (from === remoteId && isOfferer) await restartIce('peer asked');
+		return;
+	}
+
 	// If we're already connecting/connected to a different peer, ignore new inbound attempts
 	if (
 		pc &&
@@ -493,17 +1265,37 @@ async function onSignal(from, payload) {
 	// Reflect the inbound peer in the input for clarity
 	if (peerIdInput) peerIdInput.value = prettyCode(remoteId);
 	await ensurePc();
-	// If already connected, ignore new offers to avoid duplicate sessions
-	if (connected && payload.type === 'offer') {
+	// If already connected, ignore new offers to avoid duplicate sessions (ICE restarts excepted)
+	if (connected && payload.type === 'offer' && !(payload.restart && from === remoteId)) {
 		warn('Ignoring new offer from', asId(from), '- already connected');
 		return;
 	}
 	if (payload.type === 'offer') {
+		// Wormhole mode: the offer's DTLS fingerprints must carry a MAC from the passphrase key
+		const key = await pakeKey();
+		if (wormholePassphrase() || key) {
+			if (!key) {
+				sendSignal(from, { type: 'pake', error: 'required' });
+				return abortWormhole('peer did not run the passphrase check');
+			}
+			if (!(await verifyFingerprints(key, payload.sdp, 'A', payload.mac))) {
+				return abortWormhole('offer fingerprint does not match');
+			}
+			success('Passphrase verified for', asId(from));
+		}
 		await pc.setRemoteDescription(new RTCSessionDescription(payload.sdp));
 		const answer = await pc.createAnswer();
 		await pc.setLocalDescription(answer);
-		sendSignal(remoteId, { type: 'answer', sdp: pc.localDescription });
+		const mac = key ? await signFingerprints(key, pc.localDescription, 'B') : undefined;
+		sendSignal(remoteId, { type: 'answer', sdp: pc.localDescription, mac });
 	} else if (payload.type === 'answer') {
+		const key = await pakeKey();
+		if (key) {
+			if (!(await verifyFingerprints(key, payload.sdp, 'B', payload.mac))) {
+				return abortWormhole('answer fingerprint does not match');
+			}
+			success('Passphrase verified for', asId(from));
+		}
 		await pc.setRemoteDescription(new RTCSessionDescription(payload.sdp));
 	} else if (payload.type === 'candidate' && payload.candidate) {
 		try {
@@ -515,14 +1307,78 @@ async function onSignal(from, payload) {
 }
 
 btnConnect.onclick = async () => {
+	if (roomCode) return alert('Leave the room first.');
 	if (connected || (pc && ['connecting', 'connected'].includes(pc.connectionState))) {
 		return alert('Already connected or connecting. Disconnect first.');
 	}
+	if (knockPending) return alert('Waiting for the peer to respond. Disconnect to cancel.');
 	remoteId = formatCode(peerIdInput.value.trim());
 	if (!remoteId) return alert('Enter peer code');
 	// reflect normalized formatting back to input
 	peerIdInput.value = prettyCode(remoteId);
+	if (!ws || ws.readyState !== WebSocket.OPEN) return alert('Signaling not connected yet. Try again in a moment.');
+	// Ask first; the offer only goes out once the peer accepts
+	knockPending = remoteId;
+	const name = (displayNameInput && displayNameInput.value.trim()) || '';
+	sendWs({ type: 'knock', to: remoteId, name });
+	info('Asked', asId(remoteId), 'to connect, waiting for approval');
+	setStatus('waiting for approval', 'connecting');
+	setUiConnected(true); // reflect connecting state in UI
+};
+
+// ICE restart: keep the 1:1 session and its data channel (and so any running transfer) when the
+// network path changes. The offerer re-offers with fresh candidates; the answerer asks it to. A few
+// unanswered attempts later the session falls back to the relay or gives up.
+async function restartIce(reason) {
+	if (!pc || !remoteId || relayRequested || !pc._wasConnected || iceRestartPending) return;
+	if (iceRestarts >= MAX_ICE_RESTARTS) {
+		if (!fallBackToRelay()) warn('Could not restore the connection. Disconnect and connect again.');
+		return;
+	}
+	iceRestarts += 1;
+	iceRestartPending = true;
+	clearTimeout(iceRestartTimer);
+	// No recovery in time (the peer may have been offline itself): try again
+	iceRestartTimer = setTimeout(() => {
+		iceRestartPending = false;
+		if (!pc) return;
+		if (pc.connectionState === 'connected') iceRestarts = 0;
+		else restartIce('no response').catch((e) => error('ICE restart failed', e));
+	}, 10_000);
+	info(`Connection interrupted (${reason}), restarting ICE`, `${iceRestarts}/${MAX_ICE_RESTARTS}`);
+	setStatus('reconnecting', 'connecting');
+	if (!isOfferer) {
+		sendSignal(remoteId, { type: 'restart' });
+		return;
+	}
+	if (iceCredentialsStale()) {
+		await refreshConfig();
+		try {
+			pc.setConfiguration(rtcConfig());
+		} catch {}
+	}
+	const offer = await pc.createOffer({ iceRestart: true });
+	await pc.setLocalDescription(offer);
+	const key = await pakeKey();
+	const mac = key ? await signFingerprints(key, pc.localDescription, 'A') : undefined;
+	sendSignal(remoteId, { type: 'offer', sdp: pc.localDescription, mac, restart: true });
+}
+
+// The device changed networks (Wi-Fi <-> cellular): the old path is likely gone even if not yet noticed
+function onNetworkChange() {
+	if (!pc || !pc._wasConnected || relayRequested) return;
+	iceRestarts = 0;
+	restartIce('network change').catch((e) => error('ICE restart failed', e));
+}
+window.addEventListener('online', onNetworkChange);
+try {
+	navigator.connection?.addEventListener('change', onNetworkChange);
+} catch {}
+
+// Caller side, after the peer accepted the connection request
+async function startOffer() {
 	await ensurePc();
+	isOfferer = true;
 	dc = pc.createDataChannel('file');
 	wireDc();
 	const offer = await pc.createOffer({
@@ -531,7 +1387,9 @@ btnConnect.onclick = async () => {
 		offerToReceiveVideo: false,
 	});
 	await pc.setLocalDescription(offer);
-	sendSignal(remoteId, { type: 'offer', sdp: pc.localDescription });
+	const key = await pakeKey();
+	const mac = key ? await signFingerprints(key, pc.localDescription, 'A') : undefined;
+	sendSignal(remoteId, { type: 'offer', sdp: pc.localDescription, mac });
 	statusEl.textContent = 'connecting';
 	if (statusWrap) {
 		statusWrap.classList.remove('connected', 'disconnected');
@@ -552,100 +1410,649 @@ btnConnect.onclick = async () => {
 			}
 		}
 	}, 15000);
-};
+}
 
-btnSend.onclick = async () => {
-	if (!dc || dc.readyState !== 'open') return;
-	const messageText = (msgTextInput && msgTextInput.value.trim()) || '';
-	const file = fileInput.files && fileInput.files[0];
+async function connectAccepted(peer) {
+	if (wormholePassphrase()) {
+		setStatus('checking passphrase', 'connecting');
+		try {
+			await pakeAsCaller(peer);
+		} catch (e) {
+			return abortWormhole(e.message);
+		}
+	}
+	await startOffer();
+}
 
-	// Support message-only send (no file selected)
-	if (!file && messageText) {
-		const meta = { type: 'file-header', name: '', size: 0, mime: '', message: messageText };
-		dc.send(JSON.stringify(meta));
-		dc.send(JSON.stringify({ type: 'file-end' }));
-		const out = {
-			id: crypto.randomUUID(),
-			name: '(message)',
-			size: 0,
-			mime: 'text/plain',
-			message: messageText,
-			sent: 0,
-			status: 'done',
-			createdAt: Date.now(),
-		};
-		transfers.sent.push(out);
-		renderList(sentList, transfers.sent, 'sent');
-		success('Sent message');
-		// Clear the message field after sending (mirrors file input clearing)
-		if (msgTextInput) msgTextInput.value = '';
-		updateFileUi();
+// Wormhole mode: both users typed the same passphrase; a PAKE over the signaling channel yields
+// a key that authenticates each side's DTLS fingerprint, so a malicious server cannot MITM the SDP
+function wormholePassphrase() {
+	return (passphraseInput && passphraseInput.value.trim()) || '';
+}
+
+async function pakeKey() {
+	if (!pakeSession) return null;
+	try {
+		return await pakeSession.ready;
+	} catch {
+		return null;
+	}
+}
+
+async function pakeAsCaller(peer) {
+	const pake = await createPake(wormholePassphrase(), selfId, peer, 'A');
+	let settle;
+	const ready = new Promise((resolve, reject) => (settle = { resolve, reject }));
+	pakeSession = { role: 'A', ready, pake, settle };
+	const timer = setTimeout(() => settle.reject(new Error('peer did not answer the passphrase check')), 20_000);
+	sendSignal(peer, { type: 'pake', msg: pake.message });
+	try {
+		return await ready;
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+async function onPake(from, payload) {
+	const reasons = { 'no-passphrase': 'peer has no passphrase set', required: 'peer requires a passphrase' };
+	// Caller: the callee's reply completes the exchange
+	if (pakeSession?.role === 'A') {
+		const { pake, settle } = pakeSession;
+		if (payload.error) return settle.reject(new Error(reasons[payload.error] || 'peer rejected the check'));
+		pake.finish(payload.msg).then(settle.resolve, settle.reject);
 		return;
 	}
+	if (payload.error) {
+		warn('Passphrase check:', reasons[payload.error] || payload.error);
+		return;
+	}
+	// Callee: answer with our half; the offer handler waits for the key
+	const passphrase = wormholePassphrase();
+	if (!passphrase) {
+		sendSignal(from, { type: 'pake', error: 'no-passphrase' });
+		warn('Peer asked for a passphrase check but no passphrase is set');
+		return;
+	}
+	const pake = await createPake(passphrase, selfId, from, 'B');
+	const ready = pake.finish(payload.msg);
+	ready.catch(() => {}); // surfaced when the offer is checked
+	pakeSession = { role: 'B', ready };
+	sendSignal(from, { type: 'pake', msg: pake.message });
+}
 
-	if (!file) return; // neither file nor message
-
-	const chunkSize = 16 * 1024; // 16KB chunks to play nice with buffers
-	const meta = { type: 'file-header', name: file.name, size: file.size, mime: file.type, message: messageText };
-	dc.send(JSON.stringify(meta));
-	let offset = 0;
-	// Track outgoing transfer
-	const out = {
-		id: crypto.randomUUID(),
-		name: file.name,
-		size: file.size,
-		mime: file.type,
-		message: messageText,
-		sent: 0,
-		status: 'sending',
-		createdAt: Date.now(),
-		url: URL.createObjectURL(file), // allow local preview of sent file
+// ICE failed: if the server offers a relay, move this 1:1 session onto it. Never in wormhole mode,
+// where the whole point is not trusting the server with the data.
+function fallBackToRelay() {
+	if (!CONFIG.relay || relayRequested || !remoteId || roomCode) return false;
+	if (pakeSession) {
+		warn('Relay fallback is off in passphrase mode: the server would see the files');
+		return false;
+	}
+	relayRequested = true;
+	sendWs({ type: 'relay-request', to: remoteId });
+	warn('Direct connection failed, switching to the server relay (files pass through the server)');
+	setStatus('switching to relay', 'connecting');
+	return true;
+}
+
+function onRelayReady(msg) {
+	const peer = formatCode(msg.peer);
+	if (peer !== remoteId || (dc && dc.label === 'relay')) return;
+	// The peer may have noticed the failure first
+	relayRequested = true;
+	const old = dc;
+	if (old) {
+		old.onclose = null;
+		try {
+			old.close();
+		} catch {}
+	}
+	const proto = location.protocol === 'https:' ? 'wss://' : 'ws://';
+	// The relay socket is signed in like signaling
+	const idToken = CONFIG.auth?.oidc ? currentToken() : null;
+	const url = `${proto}${location.host}${msg.path}?token=${encodeURIComponent(msg.token)}`;
+	dc = createRelayChannel(url, idToken ? ['p2p', `bearer.${idToken}`] : undefined);
+	wireDc();
+	info('Relay limit for this session', asSize(msg.maxBytes || 0));
+}
+
+async function abortWormhole(reason) {
+	error('Passphrase check failed:', reason, '- wrong passphrase or the connection was tampered with');
+	await doDisconnect();
+	setStatus('check failed', 'disconnected');
+}
+
+// Incoming connection request: show who is asking and let the user decide
+function onKnock(from, name, identity) {
+	const busy = connected || pc || roomCode || knockPending || knockPrompt;
+	if (busy) {
+		sendWs({ type: 'knock-reply', to: from, accept: false, busy: true });
+		info('Declined connection request from', asId(from), '- busy');
+		return;
+	}
+	const el = document.createElement('div');
+	el.className = 'knock-prompt';
+	el.setAttribute('role', 'alertdialog');
+	el.setAttribute('aria-live', 'assertive');
+	const text = document.createElement('div');
+	text.className = 'knock-text';
+	const code = document.createElement('span');
+	code.className = 'code';
+	code.textContent = prettyCode(from);
+	text.append(code);
+	if (name) text.append(` (${name})`);
+	// Verified by the server's single sign-on, unlike the self-chosen display name
+	if (identity) {
+		const who = document.createElement('span');
+		who.className = 'identity';
+		who.title = 'Verified account';
+		who.textContent = identity;
+		text.append(' ', who);
+	}
+	text.append(' wants to connect');
+	const btnAccept = document.createElement('button');
+	btnAccept.type = 'button';
+	btnAccept.textContent = 'Accept';
+	const btnDecline = document.createElement('button');
+	btnDecline.type = 'button';
+	btnDecline.textContent = 'Decline';
+	const reply = (accept) => {
+		closeKnockPrompt();
+		sendWs({ type: 'knock-reply', to: from, accept });
+		if (!accept) return info('Declined connection request from', asId(from));
+		remoteId = from;
+		if (peerIdInput) peerIdInput.value = prettyCode(from);
+		info('Accepted', asId(from), '- waiting for their offer');
+		setStatus('accepted', 'connecting');
+		setUiConnected(true);
 	};
-	transfers.sent.push(out);
-	renderList(sentList, transfers.sent, 'sent');
-	while (offset < file.size) {
-		const slice = file.slice(offset, offset + chunkSize);
-		const buf = await slice.arrayBuffer();
-		// backpressure handling
-		while (dc.bufferedAmount > 4 * 1024 * 1024) {
-			await new Promise((r) => setTimeout(r, 10));
-		}
-		dc.send(buf);
-		offset += slice.size;
-		out.sent = offset;
-		if (out._progressEl) out._progressEl.value = offset;
-		if (out._metaEl) out._metaEl.textContent = `${fmtSize(out.sent)} / ${fmtSize(out.size)}`;
-		if (out._pctEl) {
-			const pct = out.size ? Math.floor((out.sent / out.size) * 100) : 0;
-			out._pctEl.textContent = `${pct}%`;
-		}
-	}
-	dc.send(JSON.stringify({ type: 'file-end' }));
-	out.status = 'done';
-	out.sent = out.size;
-	renderList(sentList, transfers.sent, 'sent');
-	success('Sent file', asFile(file.name), asSize(file.size));
-	// Clear both file selection and message field after sending
-	if (fileInput) fileInput.value = '';
+	btnAccept.addEventListener('click', () => reply(true));
+	btnDecline.addEventListener('click', () => reply(false));
+	const actions = document.createElement('div');
+	actions.className = 'knock-actions';
+	actions.append(btnAccept, btnDecline);
+	el.append(text, actions);
+	document.body.appendChild(el);
+	knockPrompt = { from, el };
+	info('Connection request from', asId(from), name ? `(${name})` : '');
+	btnAccept.focus();
+}
+
+function closeKnockPrompt() {
+	if (!knockPrompt) return;
+	try {
+		knockPrompt.el.remove();
+	} catch {}
+	knockPrompt = null;
+}
+
+function onKnockResult(peer, result, identity) {
+	// Callee side: the caller gave up or the request expired before we answered
+	if (knockPrompt && knockPrompt.from === peer) {
+		closeKnockPrompt();
+		info('Connection request from', asId(peer), result === 'timeout' ? 'expired' : 'was cancelled');
+		return;
+	}
+	if (knockPending !== peer) return;
+	knockPending = null;
+	if (result === 'accepted') {
+		if (identity) success('Peer accepted', asId(peer), 'signed in as', identity);
+		else success('Peer accepted', asId(peer));
+		connectAccepted(peer).catch((e) => error('Offer failed', e));
+		return;
+	}
+	const states = {
+		declined: ['declined', 'Peer declined the connection'],
+		busy: ['peer busy', 'Peer is busy'],
+		timeout: ['no answer', 'Peer did not respond in time'],
+		'not-found': ['peer not found', 'No peer with code'],
+	};
+	const [status, text] = states[result] || ['disconnected', 'Connection request failed'];
+	warn(text, asId(peer));
+	remoteId = null;
+	setStatus(status, 'disconnected');
+	setUiConnected(false);
+}
+
+const PIECE_BYTES = 4 * 1024 * 1024; // received bytes are stored (and acknowledged) in pieces this size
+const BLOCK_BYTES = 1024 * 1024; // sent bytes are checksummed (and sent again if corrupted) in blocks this size
+const MAX_BLOCK_RETRIES = 3;
+const RESUME_WAIT_MS = 10_000;
+const CHECK_WAIT_MS = 60_000;
+
+// Sends waiting for their peer to come back: { out, file, message, peer }
+const pausedSends = [];
+
+// Identifies a file's content for resuming, also after a reload: name, size, modification time
+// and the first and last 64 KB
+async function fingerprint(file) {
+	const edge = 64 * 1024;
+	const head = new TextEncoder().encode(`${file.name}\n${file.size}\n${file.lastModified}\n`);
+	const tail = file.slice(Math.max(edge, file.size - edge));
+	try {
+		const data = await new Blob([head, file.slice(0, edge), tail]).arrayBuffer();
+		const digest = await crypto.subtle.digest('SHA-256', data);
+		return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+	} catch {
+		return `${file.size}-${file.lastModified}-${file.name}`; // no WebCrypto outside secure contexts
+	}
+}
+
+// One file at a time per channel: the receiver expects header, chunks and end in sequence
+function exclusive(channel, task) {
+	const run = (channel._sending || Promise.resolve()).then(task);
+	channel._sending = run.catch(() => {});
+	return run;
+}
+
+// Answers about our sends: where the receiver wants a file to start (file-resume), what it has
+// stored (file-ack), a block to send again (file-retry), that all blocks arrived intact (file-checked)
+// and that it cannot take the file after all (file-cancel)
+function onSendReply(channel, msg) {
+	const out = transfers.sent.find((t) => t.id === msg.id);
+	if (msg.type === 'file-ack') {
+		if (out) out.acked = Math.max(out.acked || 0, Number(msg.offset) || 0);
+		return;
+	}
+	if (msg.type === 'file-cancel' && out) out.cancelled = true;
+	const waiter = channel._replyWaiters?.get(msg.id);
+	if (waiter) waiter(msg);
+	else if (msg.type === 'file-retry' && out) out.rewind = Number(msg.offset) || 0;
+}
+
+// The receiver's next answer about a transfer, or null after ms (receivers that never answer)
+function waitReply(channel, id, ms) {
+	return new Promise((resolve) => {
+		const waiters = (channel._replyWaiters = channel._replyWaiters || new Map());
+		const answer = (msg) => {
+			clearTimeout(timer);
+			waiters.delete(id);
+			resolve(msg);
+		};
+		const timer = setTimeout(() => answer(null), ms);
+		waiters.set(id, answer);
+	});
+}
+
+// Send the header and wait for the receiver's offset. Receivers that do not resume never answer;
+// after a while they get the whole file, unchecked.
+async function askOffset(channel, meta) {
+	const reply = waitReply(channel, meta.id, RESUME_WAIT_MS);
+	channel.send(JSON.stringify(meta));
+	const msg = await reply;
+	return { offset: Math.min(Math.max(0, Number(msg?.offset) || 0), meta.size), verify: !!msg?.verify };
+}
+
+// Go back to a block the receiver found corrupted
+function seek(channel, out) {
+	const offset = Math.min(out.rewind, out.size);
+	out.rewind = null;
+	info('Sending', asFile(out.path || out.name), 'again from', asSize(offset), '(corrupted block)');
+	channel.send(JSON.stringify({ type: 'file-seek', id: out.id, offset }));
+	return offset;
+}
+
+function pauseSend(out, file, message, peer) {
+	out.status = 'paused';
+	if (peer && !pausedSends.some((p) => p.out === out)) pausedSends.push({ out, file, message, peer });
+	return false;
+}
+
+function dropPausedSend(out) {
+	const i = pausedSends.findIndex((p) => p.out === out);
+	if (i !== -1) pausedSends.splice(i, 1);
+}
+
+// A channel to a peer opened: its paused sends continue where its receiver left off
+function resumePaused(peer, channel) {
+	const due = pausedSends.filter((p) => p.peer === peer);
+	for (const p of due) {
+		dropPausedSend(p.out);
+		p.out.status = 'sending';
+		sendFileOver(channel, p.file, p.message, p.out, peer).then((ok) => {
+			renderList(sentList, transfers.sent, 'sent');
+			if (ok) success('Sent file', asFile(p.out.path || p.out.name), asSize(p.out.size), 'after resuming');
+		});
+	}
+	if (due.length) renderList(sentList, transfers.sent, 'sent');
+}
+
+// Whole-file SHA-256, worked out once per queued file for all its recipients, resumes and retries
+const wholeHashes = new WeakMap(); // File -> Promise of the hex digest
+function wholeHash(file) {
+	let hash = wholeHashes.get(file);
+	if (!hash) {
+		hash = hashBlob(file);
+		// A failed hash is tried again next time
+		hash.catch(() => wholeHashes.delete(file));
+		wholeHashes.set(file, hash);
+	}
+	return hash;
+}
+
+// Stream one file over a channel, updating the given sent-list record. A dropped channel pauses
+// the transfer until the peer (its code) is back.
+function sendFileOver(channel, file, messageText, out, peer) {
+	return exclusive(channel, async () => {
+		const chunkSize = 16 * 1024; // 16KB chunks to play nice with buffers
+		try {
+			out.fp = out.fp || (await fingerprint(file));
+			if (channel.readyState !== 'open') return pauseSend(out, file, messageText, peer);
+			const meta = {
+				type: 'file-header',
+				id: out.id,
+				fp: out.fp,
+				name: file.name,
+				path: out.path,
+				size: file.size,
+				mime: file.type,
+				message: messageText,
+				block: BLOCK_BYTES,
+			};
+			// The whole file's SHA-256 is worked out in a worker while the bytes go out
+			const whole = wholeHash(file);
+			let { offset, verify } = await askOffset(channel, meta);
+			if (offset) info('Resuming', asFile(out.path || out.name), 'from', asSize(offset));
+			out.status = 'sending';
+			out.rewind = null;
+			for (;;) {
+				let blocks = 0;
+				while (offset < file.size && !out.cancelled) {
+					// Blocks end on multiples of BLOCK_BYTES, so a resumed send lines up with the first one
+					const end = Math.min(file.size, (Math.floor(offset / BLOCK_BYTES) + 1) * BLOCK_BYTES);
+					const bytes = new Uint8Array(await file.slice(offset, end).arrayBuffer());
+					for (let at = 0; at < bytes.length && out.rewind === null && !out.cancelled; at += chunkSize) {
+						// backpressure handling
+						while (channel.bufferedAmount > 4 * 1024 * 1024 && channel.readyState === 'open') {
+							await new Promise((r) => setTimeout(r, 10));
+						}
+						// Peer may leave mid-transfer; stop this recipient only
+						if (channel.readyState !== 'open') return pauseSend(out, file, messageText, peer);
+						channel.send(bytes.subarray(at, at + chunkSize));
+						out.sent = offset + Math.min(at + chunkSize, bytes.length);
+						if (out._progressEl) out._progressEl.value = out.sent;
+						if (out._metaEl) out._metaEl.textContent = `${fmtSize(out.sent)} / ${fmtSize(out.size)}`;
+						if (out._pctEl) {
+							const pct = out.size ? Math.floor((out.sent / out.size) * 100) : 0;
+							out._pctEl.textContent = `${pct}%`;
+						}
+					}
+					if (out.rewind === null && !out.cancelled) {
+						const sha256 = await sha256Hex(bytes);
+						channel.send(JSON.stringify({ type: 'file-block', id: out.id, offset, size: bytes.length, sha256 }));
+						offset = end;
+						blocks++;
+					}
+					if (out.rewind !== null) offset = seek(channel, out);
+				}
+				if (out.rewind !== null) {
+					offset = seek(channel, out);
+					continue;
+				}
+				// The file ends once the receiver has checked the last block (or sent one back)
+				if (out.cancelled || !verify || !blocks) break;
+				const answer = await waitReply(channel, out.id, CHECK_WAIT_MS);
+				if (answer?.type !== 'file-retry') break;
+				out.rewind = Number(answer.offset) || 0;
+				offset = seek(channel, out);
+			}
+			if (channel.readyState !== 'open') return pauseSend(out, file, messageText, peer);
+			if (out.cancelled) {
+				channel.send(JSON.stringify({ type: 'file-end', id: out.id }));
+				warn('Peer could not save', asFile(out.path || out.name));
+				out.status = 'failed';
+				return false;
+			}
+			const sha256 = await whole.catch(() => undefined);
+			channel.send(JSON.stringify({ type: 'file-end', id: out.id, sha256 }));
+			out.status = 'done';
+			out.sent = out.size;
+			return true;
+		} catch (e) {
+			if (channel.readyState !== 'open') return pauseSend(out, file, messageText, peer);
+			error('Sending', asFile(out.path || out.name), 'failed:', e.message || e);
+			out.status = 'failed';
+			return false;
+		}
+	});
+}
+
+btnSend.onclick = async () => {
+	const targets = openChannels();
+	if (!targets.length || queueRunning) return;
+	const messageText = (msgTextInput && msgTextInput.value.trim()) || '';
+
+	// Support message-only send (no file queued)
+	if (!sendQueue.length && messageText) {
+		const meta = { type: 'file-header', name: '', size: 0, mime: '', message: messageText };
+		for (const { channel, to } of targets) {
+			// Not in the middle of a file that is still going out
+			exclusive(channel, async () => {
+				channel.send(JSON.stringify(meta));
+				channel.send(JSON.stringify({ type: 'file-end' }));
+			});
+			const out = {
+				id: crypto.randomUUID(),
+				name: '(message)',
+				size: 0,
+				mime: 'text/plain',
+				message: messageText,
+				to,
+				sent: 0,
+				status: 'done',
+				createdAt: Date.now(),
+			};
+			transfers.sent.push(out);
+		}
+		renderList(sentList, transfers.sent, 'sent');
+		success('Sent message');
+		// Clear the message field after sending (mirrors file input clearing)
+		if (msgTextInput) msgTextInput.value = '';
+		updateFileUi();
+		return;
+	}
+
+	if (!sendQueue.length) return; // neither file nor message
+
+	// Work through the queue; the message goes along with the first file
+	queueRunning = true;
 	if (msgTextInput) msgTextInput.value = '';
 	updateFileUi();
+	let message = messageText;
+	let sentFiles = 0;
+	while (sendQueue.length) {
+		const now = openChannels();
+		if (!now.length) {
+			warn('Connection closed,', sendQueue.length, 'file(s) left in the queue');
+			break;
+		}
+		const item = sendQueue.shift();
+		const { file, path } = item;
+		unqueue([item]);
+		renderQueue();
+		// Track one outgoing transfer row per recipient
+		const outs = now.map(({ to }) => ({
+			id: crypto.randomUUID(),
+			name: file.name,
+			path,
+			size: file.size,
+			mime: file.type,
+			message,
+			to,
+			sent: 0,
+			status: 'sending',
+			createdAt: Date.now(),
+			url: URL.createObjectURL(file), // allow local preview of sent file
+		}));
+		transfers.sent.push(...outs);
+		renderList(sentList, transfers.sent, 'sent');
+		const results = await Promise.all(
+			now.map((t, i) => sendFileOver(t.channel, file, message, outs[i], t.to || remoteId)),
+		);
+		renderList(sentList, transfers.sent, 'sent');
+		const okCount = results.filter(Boolean).length;
+		const paused = outs.filter((o) => o.status === 'paused').length;
+		if (okCount === results.length) success('Sent file', asFile(path), asSize(file.size));
+		else if (paused) info('Paused', asFile(path), `for ${paused} peer(s), it resumes when they reconnect`);
+		else warn('Sent file', asFile(path), `to ${okCount}/${results.length} peers`);
+		message = '';
+		if (okCount) sentFiles++;
+	}
+	if (sentFiles > 1) success('Sent', sentFiles, 'files');
+	queueRunning = false;
+	updateFileUi();
 };
 
 // Clear file input and update UI
 if (btnClearFile) {
 	btnClearFile.addEventListener('click', () => {
-		if (fileInput) fileInput.value = '';
+		// Empties what has not started; a file already on its way finishes
+		unqueue(sendQueue.splice(0));
+		renderQueue();
 		if (msgTextInput) msgTextInput.value = '';
 		updateFileUi();
 	});
 }
 
-// Enable/disable Send based on file selection state
+// Picked files and folders join the queue; the inputs are emptied so the same pick works again
 if (fileInput) {
 	fileInput.addEventListener('change', () => {
-		updateFileUi();
+		enqueueFiles([...(fileInput.files || [])]);
+		fileInput.value = '';
+	});
+}
+if (folderInput && btnAddFolder) {
+	if (!('webkitdirectory' in folderInput)) btnAddFolder.hidden = true;
+	btnAddFolder.addEventListener('click', () => folderInput.click());
+	folderInput.addEventListener('change', () => {
+		enqueueFiles([...(folderInput.files || [])]);
+		folderInput.value = '';
+	});
+}
+
+// Received files can go straight into a folder on disk (File System Access API); clicking again
+// goes back to keeping them in the page
+if (btnRecvFolder && window.showDirectoryPicker) {
+	btnRecvFolder.hidden = false;
+	btnRecvFolder.addEventListener('click', async () => {
+		if (receiveDir) {
+			receiveDir = null;
+			info('Received files stay in the page again');
+		} else {
+			try {
+				receiveDir = await window.showDirectoryPicker({ id: 'received', mode: 'readwrite' });
+			} catch {
+				return; // picker cancelled
+			}
+			success('Received files are saved to', asFile(receiveDir.name));
+		}
+		btnRecvFolder.textContent = receiveDir ? `Saving to ${receiveDir.name}` : 'Save to folder';
+		btnRecvFolder.setAttribute('aria-pressed', String(!!receiveDir));
 	});
 }
+// The service worker streams large received files to disk as downloads (sinks.js)
+navigator.serviceWorker?.register('/sw.js').catch((e) => debug('Service worker unavailable:', e.message || e));
+
+// The whole page is a drop zone for files and folders, and Ctrl/Cmd+V queues pasted images, files
+// and rich text. Everything lands in the send queue, which shows what is about to go out.
+const dragsFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+// Dialogs (QR, scan, connection requests) keep their own paste handling
+const dialogOpen = () => !!document.querySelector('[aria-modal="true"]');
+let dragDepth = 0;
+
+// Files below a dropped entry; paths are relative to the drop, so a dropped folder keeps its name
+async function entryFiles(entry) {
+	if (entry.isFile) {
+		const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+		return [{ file, path: entry.fullPath.replace(/^\/+/, '') || file.name }];
+	}
+	const reader = entry.createReader();
+	const files = [];
+	// readEntries hands out one batch at a time until it comes back empty
+	for (;;) {
+		const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+		if (!batch.length) break;
+		for (const child of batch) files.push(...(await entryFiles(child)));
+	}
+	return files;
+}
+
+// Name for pasted content, e.g. pasted-20261019-153012.png
+function pastedName(ext) {
+	const d = new Date();
+	const p = (n) => String(n).padStart(2, '0');
+	const stamp = `${d.getFullYear()}${p(d.getMonth() + 1)}${p(d.getDate())}-${p(d.getHours())}${p(d.getMinutes())}${p(d.getSeconds())}`;
+	return `pasted-${stamp}.${ext}`;
+}
+
+document.addEventListener('dragenter', (e) => {
+	if (!dragsFiles(e) || dialogOpen()) return;
+	e.preventDefault();
+	if (dragDepth++ === 0) document.body.classList.add('dropping');
+});
+document.addEventListener('dragleave', (e) => {
+	if (!dragsFiles(e) || --dragDepth > 0) return;
+	dragDepth = 0;
+	document.body.classList.remove('dropping');
+});
+document.addEventListener('dragover', (e) => {
+	if (!dragsFiles(e) || dialogOpen()) return;
+	e.preventDefault();
+	e.dataTransfer.dropEffect = 'copy';
+});
+document.addEventListener('drop', async (e) => {
+	dragDepth = 0;
+	document.body.classList.remove('dropping');
+	if (!dragsFiles(e) || dialogOpen()) return;
+	e.preventDefault();
+	// Take the entries before the first await: the drop's data is gone once the event returns
+	const entries = [...e.dataTransfer.items]
+		.filter((item) => item.kind === 'file')
+		.map((item) => item.webkitGetAsEntry && item.webkitGetAsEntry())
+		.filter(Boolean);
+	const plain = entries.length ? [] : [...e.dataTransfer.files];
+	try {
+		const dropped = entries.length ? (await Promise.all(entries.map(entryFiles))).flat() : plain;
+		if (!dropped.length) return;
+		enqueueFiles(dropped);
+		info('Queued', dropped.length, 'dropped file(s)');
+	} catch (err) {
+		error('Could not read the dropped files:', err.message || err);
+	}
+});
+
+document.addEventListener('paste', (e) => {
+	if (dialogOpen() || !e.clipboardData) return;
+	const files = [...e.clipboardData.files];
+	if (files.length) {
+		e.preventDefault();
+		// Screenshots arrive as a bare "image.png"; give them a name worth keeping
+		const named = files.map((file) => {
+			if (file.name && !/^image\.\w+$/.test(file.name)) return file;
+			const ext = file.name.split('.')[1] || (file.type.split('/')[1] || 'bin').replace(/\W.*$/, '');
+			return new File([file], pastedName(ext), { type: file.type, lastModified: file.lastModified });
+		});
+		enqueueFiles(named);
+		info('Queued', named.length, 'pasted file(s)');
+		return;
+	}
+	// Text pasted into a field stays there. Elsewhere, rich text goes out as an .html file and
+	// plain text joins the message.
+	const target = e.target;
+	if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA'].includes(target.tagName))) return;
+	const html = e.clipboardData.getData('text/html');
+	const text = e.clipboardData.getData('text/plain');
+	if (html) {
+		e.preventDefault();
+		const file = new File([`<meta charset="utf-8">\n${html}`], pastedName('html'), { type: 'text/html' });
+		enqueueFiles([{ file, path: file.name, preview: text.trim().replace(/\s+/g, ' ').slice(0, 120) }]);
+		info('Queued pasted rich text as', asFile(file.name));
+	} else if (text.trim() && msgTextInput) {
+		e.preventDefault();
+		msgTextInput.value = msgTextInput.value ? `${msgTextInput.value}\n${text}` : text;
+		updateFileUi();
+	}
+});
 if (msgTextInput) {
 	msgTextInput.addEventListener('input', () => {
 		updateFileUi();
@@ -657,7 +2064,8 @@ function setUiConnected(isConnected) {
 	btnConnect.disabled = isConnected;
 	peerIdInput.disabled = isConnected;
 	ensureDisconnectButton();
-	if (btnDisconnect) btnDisconnect.disabled = !isConnected && !(pc && pc.connectionState === 'connecting');
+	if (btnDisconnect)
+		btnDisconnect.disabled = !isConnected && !knockPending && !(pc && pc.connectionState === 'connecting');
 	updateFileUi();
 }
 
@@ -673,12 +2081,17 @@ function ensureDisconnectButton() {
 }
 
 async function doDisconnect() {
+	// Withdraw an unanswered connection request
+	if (knockPending) {
+		sendWs({ type: 'knock-cancel', to: knockPending });
+		knockPending = null;
+	}
 	// Gracefully close data channel and peer connection
 	try {
 		if (remoteId && ws && ws.readyState === WebSocket.OPEN) sendSignal(remoteId, { type: 'bye' });
 	} catch {}
 	try {
-		if (dc && dc.readyState === 'open') dc.close();
+		if (dc && dc.readyState !== 'closed') dc.close();
 	} catch {}
 	try {
 		if (pc) pc.close();
@@ -686,6 +2099,12 @@ async function doDisconnect() {
 	dc = null;
 	pc = null;
 	remoteId = null;
+	pakeSession = null;
+	relayRequested = false;
+	isOfferer = false;
+	iceRestarts = 0;
+	iceRestartPending = false;
+	clearTimeout(iceRestartTimer);
 	connected = false;
 	statusEl.textContent = 'disconnected';
 	try {
@@ -699,6 +2118,164 @@ async function doDisconnect() {
 	updateFileUi();
 }
 
+// Group rooms: the server keeps membership, clients build a full mesh of data channels.
+// The newest member offers to everyone already present, so offers never collide.
+function createRoomLink(peerId) {
+	const link = { id: peerId, pc: new RTCPeerConnection(rtcConfig()), dc: null, state: 'connecting' };
+	link.pc.onicecandidate = (ev) => {
+		if (ev.candidate) sendSignal(peerId, { type: 'candidate', candidate: ev.candidate });
+	};
+	link.pc.onconnectionstatechange = () => {
+		const st = link.pc.connectionState;
+		if (st === 'failed' || st === 'closed') link.state = st;
+		if (st === 'failed') reportOutcome('ice-failed');
+		renderRoomMembers();
+		updateFileUi();
+	};
+	link.pc.ondatachannel = (ev) => {
+		link.dc = ev.channel;
+		wireDc(link.dc, link);
+	};
+	roomLinks.set(peerId, link);
+	return link;
+}
+
+function closeRoomLink(peerId) {
+	const link = roomLinks.get(peerId);
+	if (!link) return;
+	roomLinks.delete(peerId);
+	try {
+		if (link.dc) link.dc.close();
+	} catch {}
+	try {
+		link.pc.close();
+	} catch {}
+}
+
+async function offerToRoomPeer(peerId) {
+	if (iceCredentialsStale()) await refreshConfig();
+	const link = createRoomLink(peerId);
+	link.dc = link.pc.createDataChannel('file');
+	wireDc(link.dc, link);
+	const offer = await link.pc.createOffer();
+	await link.pc.setLocalDescription(offer);
+	sendSignal(peerId, { type: 'offer', sdp: link.pc.localDescription });
+}
+
+async function onRoomSignal(link, payload) {
+	if (payload?.type === 'bye') {
+		closeRoomLink(link.id);
+		renderRoomMembers();
+		updateFileUi();
+		return;
+	}
+	try {
+		if (payload?.type === 'offer') {
+			await link.pc.setRemoteDescription(new RTCSessionDescription(payload.sdp));
+			const answer = await link.pc.createAnswer();
+			await link.pc.setLocalDescription(answer);
+			sendSignal(link.id, { type: 'answer', sdp: link.pc.localDescription });
+		} else if (payload?.type === 'answer') {
+			await link.pc.setRemoteDescription(new RTCSessionDescription(payload.sdp));
+		} else if (payload?.type === 'candidate' && payload.candidate) {
+			await link.pc.addIceCandidate(new RTCIceCandidate(payload.candidate));
+		}
+	} catch (e) {
+		error('Room signaling error with', asId(link.id), e);
+	}
+}
+
+function onRoomMessage(msg) {
+	if (msg.type === 'room-joined') {
+		roomCode = formatCode(msg.room);
+		if (roomCodeInput) roomCodeInput.value = prettyCode(roomCode);
+		success('Joined room', asId(roomCode), `(${msg.members.length + 1}/${msg.max || '?'})`);
+		for (const m of msg.members || []) {
+			offerToRoomPeer(formatCode(m)).catch((e) => error('Room offer failed', e));
+		}
+		setRoomUi();
+	} else if (msg.type === 'room-peer-joined') {
+		const id = formatCode(msg.id);
+		info('Peer joined room', asId(id));
+		// Wait for their offer; the link exists so signals get routed to it
+		if (!roomLinks.has(id)) createRoomLink(id);
+		renderRoomMembers();
+	} else if (msg.type === 'room-peer-left') {
+		const id = formatCode(msg.id);
+		info('Peer left room', asId(id));
+		closeRoomLink(id);
+		renderRoomMembers();
+		updateFileUi();
+	} else if (msg.type === 'room-left') {
+		resetRoom();
+		info('Left room');
+	} else if (msg.type === 'room-error') {
+		const reasons = { 'not-found': 'Room not found', full: 'Room is full', busy: 'Disconnect or leave first' };
+		warn(reasons[msg.reason] || 'Room error');
+	}
+}
+
+function resetRoom() {
+	for (const id of [...roomLinks.keys()]) closeRoomLink(id);
+	roomCode = null;
+	setRoomUi();
+}
+
+function renderRoomMembers() {
+	if (!roomMembersEl) return;
+	roomMembersEl.innerHTML = '';
+	for (const link of roomLinks.values()) {
+		const li = document.createElement('li');
+		const code = document.createElement('span');
+		code.className = 'code';
+		code.textContent = prettyCode(link.id);
+		const badge = document.createElement('span');
+		badge.className = 'badge ' + (link.state === 'open' ? 'ok' : 'warn');
+		badge.textContent = link.state;
+		li.append(code, badge);
+		roomMembersEl.appendChild(li);
+	}
+}
+
+function setRoomUi() {
+	const inRoom = !!roomCode;
+	if (btnRoomCreate) btnRoomCreate.disabled = inRoom;
+	if (btnRoomJoin) btnRoomJoin.disabled = inRoom;
+	if (btnRoomLeave) btnRoomLeave.disabled = !inRoom;
+	if (roomCodeInput) roomCodeInput.disabled = inRoom;
+	btnConnect.disabled = inRoom || connected;
+	peerIdInput.disabled = inRoom || connected;
+	renderRoomMembers();
+	updateFileUi();
+}
+
+function sendWs(msg) {
+	if (!ws || ws.readyState !== WebSocket.OPEN) return warn('Signaling not connected yet');
+	ws.send(JSON.stringify(msg));
+}
+
+if (btnRoomCreate) {
+	btnRoomCreate.addEventListener('click', () => {
+		if (connected || pc) return alert('Disconnect first.');
+		sendWs({ type: 'room-create' });
+	});
+}
+if (btnRoomJoin) {
+	btnRoomJoin.addEventListener('click', () => {
+		if (connected || pc) return alert('Disconnect first.');
+		const code = formatCode(roomCodeInput?.value || '');
+		if (!code) return alert('Enter room code');
+		sendWs({ type: 'room-join', room: code });
+	});
+}
+if (btnRoomLeave) {
+	btnRoomLeave.addEventListener('click', () => {
+		// Server notifies the remaining members, which tear down their links to us
+		sendWs({ type: 'room-leave' });
+		resetRoom();
+	});
+}
+
 // Clipboard support with fallback for non-secure contexts
 async function copyText(text) {
 	if (!text) return false;
@@ -751,8 +2328,31 @@ if (btnCopyId) {
 	});
 }
 
+// Remember the optional display name shown to peers in connection requests
+if (displayNameInput) {
+	try {
+		displayNameInput.value = localStorage.getItem('p2p.displayName') || '';
+	} catch {}
+	displayNameInput.addEventListener('change', () => {
+		try {
+			localStorage.setItem('p2p.displayName', displayNameInput.value.trim());
+		} catch {}
+	});
+}
+
+// SSO: finish a login redirect, or leave for the identity provider before the first connect
+if (CONFIG.auth?.oidc) {
+	try {
+		if (!((await completeLogin(CONFIG.auth.oidc)) || currentToken())) await login(CONFIG.auth.oidc);
+		await refreshConfig(); // TURN credentials for the signed-in page
+	} catch (e) {
+		error('Sign-in failed:', e.message || e);
+	}
+}
+
 // Initialize file UI state on load
 updateFileUi();
+connectSignaling();
 
 // Prefill peer code from URL (?to=CODE) for easy sharing
 try {
@@ -762,6 +2362,8 @@ try {
 		const normalized = formatCode(to);
 		if (normalized) peerIdInput.value = prettyCode(normalized);
 	}
+	const room = u.searchParams.get('room');
+	if (room && roomCodeInput) roomCodeInput.value = prettyCode(formatCode(room));
 } catch {}
 
 function buildShareLink() {
@@ -796,7 +2398,7 @@ if (btnShare) {
 	});
 }
 
-// Show QR code overlay for the share URL (uses remote QR image service)
+// Show QR code overlay for the share URL (encoded in the page; the link is not sent anywhere)
 if (btnQR) {
 	btnQR.addEventListener('click', () => {
 		if (!selfId) {
@@ -842,7 +2444,12 @@ if (btnQR) {
 		img.style.imageRendering = 'pixelated';
 		img.style.border = '1px solid #eee';
 		img.style.background = '#fff';
-		img.src = 'https://api.qrserver.com/v1/create-qr-code/?size=240x240&data=' + encodeURIComponent(url);
+		try {
+			img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(qrSvg(url, { ecl: CONFIG.qrLevel || 'M' }));
+		} catch (e) {
+			warn('Could not draw the QR code:', e.message || e);
+			img.alt = 'QR code unavailable';
+		}
 
 		const link = document.createElement('div');
 		link.textContent = url;
@@ -885,3 +2492,206 @@ if (btnQR) {
 		document.body.appendChild(overlay);
 	});
 }
+
+// Peer code in a scanned QR: share links carry it as ?to=, a bare code works too
+function codeFromScan(text) {
+	try {
+		const to = new URL(text).searchParams.get('to');
+		if (to) return formatCode(to);
+	} catch {}
+	const code = formatCode(text);
+	return code.length === 6 ? code : '';
+}
+
+// The browser's BarcodeDetector where it has one (it reads the video directly), otherwise the bundled
+// decoder on a canvas snapshot, scaled down: it wants a few pixels per module, not megapixels
+let barcodeDetector;
+const scanCanvas = document.createElement('canvas');
+async function detectQr(source, width, height) {
+	if (barcodeDetector === undefined) {
+		barcodeDetector = null;
+		try {
+			if ('BarcodeDetector' in window && (await BarcodeDetector.getSupportedFormats()).includes('qr_code')) {
+				barcodeDetector = new BarcodeDetector({ formats: ['qr_code'] });
+			}
+		} catch {}
+	}
+	if (barcodeDetector) {
+		try {
+			const [hit] = await barcodeDetector.detect(source);
+			return hit ? hit.rawValue : null;
+		} catch {}
+	}
+	const scale = Math.min(1, 800 / Math.max(width, height));
+	scanCanvas.width = Math.max(1, Math.round(width * scale));
+	scanCanvas.height = Math.max(1, Math.round(height * scale));
+	const ctx = scanCanvas.getContext('2d', { willReadFrequently: true });
+	ctx.drawImage(source, 0, 0, scanCanvas.width, scanCanvas.height);
+	return qrDecode(ctx.getImageData(0, 0, scanCanvas.width, scanCanvas.height));
+}
+
+// Scan overlay: camera preview, plus an image to choose or paste (screenshots, or no camera)
+if (btnScan) {
+	btnScan.addEventListener('click', () => {
+		let stream = null;
+		let timer = null;
+		let closed = false;
+
+		const overlay = document.createElement('div');
+		overlay.style.position = 'fixed';
+		overlay.style.inset = '0';
+		overlay.style.background = 'rgba(0,0,0,0.6)';
+		overlay.style.display = 'flex';
+		overlay.style.alignItems = 'center';
+		overlay.style.justifyContent = 'center';
+		overlay.style.zIndex = '9999';
+		overlay.setAttribute('role', 'dialog');
+		overlay.setAttribute('aria-modal', 'true');
+
+		const box = document.createElement('div');
+		box.style.background = '#fff';
+		box.style.borderRadius = '8px';
+		box.style.padding = '16px';
+		box.style.boxShadow = '0 6px 24px rgba(0,0,0,0.25)';
+		box.style.minWidth = '280px';
+		box.style.maxWidth = '90vw';
+		box.style.textAlign = 'center';
+
+		const title = document.createElement('div');
+		title.textContent = "Scan your peer's QR code";
+		title.style.fontWeight = '600';
+		title.style.marginBottom = '8px';
+
+		const video = document.createElement('video');
+		video.muted = true;
+		video.playsInline = true;
+		video.style.width = '320px';
+		video.style.maxWidth = '80vw';
+		video.style.background = '#000';
+		video.style.borderRadius = '4px';
+		video.style.display = 'none';
+
+		const hint = document.createElement('div');
+		hint.textContent = 'Starting camera…';
+		hint.style.fontSize = '12px';
+		hint.style.marginTop = '8px';
+
+		const picker = document.createElement('input');
+		picker.type = 'file';
+		picker.accept = 'image/*';
+		picker.style.display = 'none';
+
+		const close = () => {
+			closed = true;
+			clearTimeout(timer);
+			if (stream) stream.getTracks().forEach((t) => t.stop());
+			document.removeEventListener('paste', onPaste);
+			try {
+				document.body.removeChild(overlay);
+			} catch {}
+		};
+		// true once the text held a peer code (and the connection was started)
+		const use = (text) => {
+			const code = codeFromScan(text);
+			if (!code) {
+				hint.textContent = 'That QR code is not a share link.';
+				return false;
+			}
+			close();
+			peerIdInput.value = prettyCode(code);
+			info('Scanned peer code', asId(code));
+			btnConnect.click();
+			return true;
+		};
+		const scanImage = async (file) => {
+			hint.textContent = 'Reading image…';
+			try {
+				const bitmap = await createImageBitmap(file);
+				const text = await detectQr(bitmap, bitmap.width, bitmap.height);
+				bitmap.close();
+				if (closed) return;
+				if (text) use(text);
+				else hint.textContent = 'No QR code found in that image.';
+			} catch (e) {
+				hint.textContent = 'Could not read that image.';
+				debug('QR image read failed', e);
+			}
+		};
+		function onPaste(e) {
+			const file = [...(e.clipboardData?.files || [])].find((f) => f.type.startsWith('image/'));
+			if (file) {
+				e.preventDefault();
+				scanImage(file);
+				return;
+			}
+			// A pasted share link or code works as well
+			const text = e.clipboardData?.getData('text');
+			if (text && use(text)) e.preventDefault();
+		}
+		document.addEventListener('paste', onPaste);
+		picker.addEventListener('change', () => {
+			if (picker.files && picker.files[0]) scanImage(picker.files[0]);
+			picker.value = '';
+		});
+
+		const actions = document.createElement('div');
+		actions.style.marginTop = '12px';
+		actions.style.display = 'flex';
+		actions.style.gap = '8px';
+		actions.style.justifyContent = 'center';
+		const btnImage = document.createElement('button');
+		btnImage.textContent = 'Choose image';
+		btnImage.addEventListener('click', () => picker.click());
+		const btnClose = document.createElement('button');
+		btnClose.textContent = 'Close';
+		btnClose.addEventListener('click', close);
+		actions.append(btnImage, btnClose);
+
+		box.append(title, video, hint, picker, actions);
+		overlay.appendChild(box);
+		overlay.addEventListener('click', close);
+		box.addEventListener('click', (e) => e.stopPropagation());
+		document.body.appendChild(overlay);
+
+		const tick = async () => {
+			if (closed) return;
+			try {
+				if (video.readyState >= 2) {
+					const text = await detectQr(video, video.videoWidth, video.videoHeight);
+					if (text && !closed && use(text)) return;
+				}
+			} catch (e) {
+				debug('QR scan failed', e);
+			}
+			if (!closed) timer = setTimeout(tick, 250);
+		};
+		(async () => {
+			// Camera access needs a secure context (HTTPS or localhost)
+			if (!navigator.mediaDevices?.getUserMedia) {
+				hint.textContent = 'No camera here (it needs HTTPS). Choose or paste an image of the QR code.';
+				return;
+			}
+			try {
+				stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+			} catch (e) {
+				hint.textContent =
+					e && e.name === 'NotAllowedError'
+						? 'Camera access was denied. Choose or paste an image of the QR code.'
+						: 'No camera available. Choose or paste an image of the QR code.';
+				return;
+			}
+			if (closed) {
+				stream.getTracks().forEach((t) => t.stop());
+				return;
+			}
+			video.srcObject = stream;
+			video.style.display = 'block';
+			video.style.margin = '0 auto';
+			try {
+				await video.play();
+			} catch {}
+			hint.textContent = 'Point the camera at the QR code, or choose or paste an image.';
+			tick();
+		})();
+	});
+}
@@ -0,0 +1,155 @@
+// Password-authenticated key exchange for "wormhole" mode
+// - SPAKE2 over the RFC 3526 2048-bit MODP group (BigInt math, no dependencies)
+// - Both browsers derive the same key only if they typed the same passphrase;
+//   the signaling server sees the exchange but cannot learn or test the passphrase offline
+// - The key authenticates the DTLS fingerprints in each SDP, so a server that swaps SDPs
+//   (man-in-the-middle) is detected before setRemoteDescription
+
+const P = BigInt(
+	'0x' +
+		'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74' +
+		'020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F1437' +
+		'4FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED' +
+		'EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF05' +
+		'98DA48361C55D39A69163FA8FD24CF5F83655D23DCA3AD961C62F356208552BB' +
+		'9ED529077096966D670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B' +
+		'E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9DE2BCBF695581718' +
+		'3995497CEA956AE515D2261898FA051015728E5A8AACAA68FFFFFFFFFFFFFFFF'
+);
+const Q = (P - 1n) / 2n; // order of the subgroup generated by G
+const G = 2n;
+const ELEMENT_HEX_LEN = 512;
+const PBKDF2_ITERATIONS = 200_000;
+
+const enc = new TextEncoder();
+
+function modPow(base, exp, mod) {
+	let result = 1n;
+	base %= mod;
+	while (exp > 0n) {
+		if (exp & 1n) result = (result * base) % mod;
+		exp >>= 1n;
+		base = (base * base) % mod;
+	}
+	return result;
+}
+
+function bytesToBigInt(bytes) {
+	let hex = '';
+	for (const b of bytes) hex += b.toString(16).padStart(2, '0');
+	return BigInt('0x' + (hex || '0'));
+}
+
+function toHex(bytesOrBigInt) {
+	if (typeof bytesOrBigInt === 'bigint') return bytesOrBigInt.toString(16).padStart(ELEMENT_HEX_LEN, '0');
+	return [...new Uint8Array(bytesOrBigInt)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+	const out = new Uint8Array(hex.length / 2);
+	for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+	return out;
+}
+
+async function sha256(bytes) {
+	return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+// Fixed group elements with unknown discrete log: hash a label to a number, square into the subgroup
+async function hashToGroup(label) {
+	const parts = [];
+	for (let i = 0; i < 9; i++) parts.push(...(await sha256(enc.encode(`${label}:${i}`))));
+	return modPow(bytesToBigInt(parts) % P, 2n, P);
+}
+
+let constants = null;
+async function groupConstants() {
+	if (!constants) {
+		constants = { M: await hashToGroup('p2p-wormhole-spake2-M'), N: await hashToGroup('p2p-wormhole-spake2-N') };
+	}
+	return constants;
+}
+
+// Uniform secret exponent in [1, q-1] (64 extra bits make the modulo bias negligible)
+function randomScalar() {
+	const bytes = crypto.getRandomValues(new Uint8Array(264));
+	return (bytesToBigInt(bytes) % (Q - 1n)) + 1n;
+}
+
+function isGroupElement(y) {
+	return y > 1n && y < P - 1n && modPow(y, Q, P) === 1n;
+}
+
+// Stretch the passphrase; both peer codes act as salt so the same phrase differs per pairing
+async function passwordScalar(passphrase, ids) {
+	const base = await crypto.subtle.importKey(
+		'raw',
+		enc.encode(String(passphrase).normalize('NFKC').trim()),
+		'PBKDF2',
+		false,
+		['deriveBits']
+	);
+	const bits = await crypto.subtle.deriveBits(
+		{ name: 'PBKDF2', hash: 'SHA-256', salt: enc.encode(`p2p-wormhole:${ids}`), iterations: PBKDF2_ITERATIONS },
+		base,
+		512
+	);
+	return bytesToBigInt(new Uint8Array(bits)) % Q;
+}
+
+// Start an exchange. role 'A' is the caller (offerer), 'B' the callee.
+// Send `message` to the peer, then pass their message to finish() to get an HMAC key.
+export async function createPake(passphrase, selfId, peerId, role) {
+	const { M, N } = await groupConstants();
+	const ids = role === 'A' ? `${selfId}|${peerId}` : `${peerId}|${selfId}`;
+	const w = await passwordScalar(passphrase, ids);
+	const x = randomScalar();
+	const [mine, theirs] = role === 'A' ? [M, N] : [N, M];
+	const message = toHex((modPow(G, x, P) * modPow(mine, w, P)) % P);
+
+	async function finish(peerMessage) {
+		if (typeof peerMessage !== 'string' || !/^[0-9a-f]{1,512}$/i.test(peerMessage)) {
+			throw new Error('Invalid PAKE message');
+		}
+		const Y = BigInt('0x' + peerMessage);
+		if (!isGroupElement(Y)) throw new Error('Invalid PAKE message');
+		// Strip the peer's password blinding (theirs^(q-w) is theirs^-w), then apply our secret
+		const K = modPow((Y * modPow(theirs, Q - w, P)) % P, x, P);
+		const peerHex = toHex(Y);
+		const [msgA, msgB] = role === 'A' ? [message, peerHex] : [peerHex, message];
+		const ikm = await sha256(enc.encode(`${ids}|${msgA}|${msgB}|${toHex(K)}`));
+		const hkdf = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveKey']);
+		return crypto.subtle.deriveKey(
+			{ name: 'HKDF', hash: 'SHA-256', salt: enc.encode('p2p-wormhole'), info: enc.encode('dtls-fingerprint-mac') },
+			hkdf,
+			{ name: 'HMAC', hash: 'SHA-256', length: 256 },
+			false,
+			['sign', 'verify']
+		);
+	}
+
+	return { message, finish };
+}
+
+// Normalized, sorted DTLS fingerprints from an SDP string or RTCSessionDescription
+export function sdpFingerprints(sdp) {
+	const text = typeof sdp === 'string' ? sdp : sdp?.sdp || '';
+	const fps = text
+		.split(/\r?\n/)
+		.filter((l) => l.startsWith('a=fingerprint:'))
+		.map((l) => l.slice('a=fingerprint:'.length).trim().toLowerCase());
+	return [...new Set(fps)].sort().join('\n');
+}
+
+// MAC over the author's role and fingerprints ('A' signs offers, 'B' answers)
+export async function signFingerprints(key, sdp, role) {
+	const fps = sdpFingerprints(sdp);
+	if (!fps) throw new Error('SDP has no DTLS fingerprint');
+	return toHex(await crypto.subtle.sign('HMAC', key, enc.encode(`${role}\n${fps}`)));
+}
+
+export async function verifyFingerprints(key, sdp, role, mac) {
+	const fps = sdpFingerprints(sdp);
+	if (!fps || typeof mac !== 'string' || !/^[0-9a-f]{64}$/.test(mac)) return false;
+	return crypto.subtle.verify('HMAC', key, hexToBytes(mac), enc.encode(`${role}\n${fps}`));
+}
@@ -0,0 +1,117 @@
+// Partly received files, kept so a transfer can resume where it stopped after the connection drops
+// - Data lands in IndexedDB in pieces of a few MB, keyed by the file's fingerprint, so it survives
+//   a page reload as well (the sender then queues the same file again)
+// - Where IndexedDB is unavailable (some private modes) pieces stay in memory, for this page only
+// - The bytes held are always a prefix of the file: pieces are appended in order
+
+const DB_NAME = 'p2p-partials';
+
+function request(req) {
+	return new Promise((resolve, reject) => {
+		req.onsuccess = () => resolve(req.result);
+		req.onerror = () => reject(req.error);
+	});
+}
+
+function done(tx) {
+	return new Promise((resolve, reject) => {
+		tx.oncomplete = () => resolve();
+		tx.onerror = tx.onabort = () => reject(tx.error);
+	});
+}
+
+// Store API: offset(fp, size), append(fp, info, offset, blob), blobs(fp), remove(fp), purge(maxAgeMs)
+function idbStore(db) {
+	const pieceRange = (fp) => IDBKeyRange.bound([fp, 0], [fp, Infinity]);
+	const store = {
+		async offset(fp, size) {
+			const rec = await request(db.transaction('files').objectStore('files').get(fp));
+			if (!rec) return 0;
+			if (rec.size !== size) {
+				await store.remove(fp);
+				return 0;
+			}
+			return rec.received;
+		},
+		async append(fp, info, offset, blob) {
+			const tx = db.transaction(['files', 'pieces'], 'readwrite');
+			const files = tx.objectStore('files');
+			const rec = await request(files.get(fp));
+			if ((rec?.received || 0) !== offset) {
+				tx.abort();
+				throw new Error(`piece at ${offset} does not continue the ${rec?.received || 0} bytes held`);
+			}
+			tx.objectStore('pieces').put({ fp, offset, blob });
+			files.put({ ...info, fp, received: offset + blob.size, updatedAt: Date.now() });
+			await done(tx);
+		},
+		async blobs(fp) {
+			const pieces = await request(db.transaction('pieces').objectStore('pieces').getAll(pieceRange(fp)));
+			return pieces.map((p) => p.blob);
+		},
+		async remove(fp) {
+			const tx = db.transaction(['files', 'pieces'], 'readwrite');
+			tx.objectStore('files').delete(fp);
+			tx.objectStore('pieces').delete(pieceRange(fp));
+			await done(tx);
+		},
+		async purge(maxAgeMs) {
+			const all = await request(db.transaction('files').objectStore('files').getAll());
+			const cutoff = Date.now() - maxAgeMs;
+			for (const rec of all) {
+				if (rec.updatedAt < cutoff) await store.remove(rec.fp);
+			}
+		},
+	};
+	return store;
+}
+
+function memoryStore() {
+	const files = new Map(); // fp -> { info, received, updatedAt, pieces: Blob[] }
+	return {
+		async offset(fp, size) {
+			const rec = files.get(fp);
+			if (!rec) return 0;
+			if (rec.info.size !== size) {
+				files.delete(fp);
+				return 0;
+			}
+			return rec.received;
+		},
+		async append(fp, info, offset, blob) {
+			const rec = files.get(fp) || { info, received: 0, pieces: [] };
+			if (rec.received !== offset) {
+				throw new Error(`piece at ${offset} does not continue the ${rec.received} bytes held`);
+			}
+			rec.pieces.push(blob);
+			rec.received += blob.size;
+			rec.updatedAt = Date.now();
+			files.set(fp, rec);
+		},
+		async blobs(fp) {
+			return files.get(fp)?.pieces.slice() || [];
+		},
+		async remove(fp) {
+			files.delete(fp);
+		},
+		async purge(maxAgeMs) {
+			const cutoff = Date.now() - maxAgeMs;
+			for (const [fp, rec] of files) {
+				if (rec.updatedAt < cutoff) files.delete(fp);
+			}
+		},
+	};
+}
+
+export async function openPartials() {
+	try {
+		const open = indexedDB.open(DB_NAME, 1);
+		open.onupgradeneeded = () => {
+			open.result.createObjectStore('files', { keyPath: 'fp' }); // { fp, name, size, mime, received, updatedAt }
+			open.result.createObjectStore('pieces', { keyPath: ['fp', 'offset'] }); // { fp, offset, blob }
+		};
+		return idbStore(await request(open));
+	} catch {
+		return memoryStore();
+	}
+}
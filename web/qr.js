@@ -0,0 +1,872 @@
+// QR codes for share links, encoded and decoded in the page (no remote QR service)
+// - Byte mode, versions 1-40, error-correction levels L/M/Q/H (ISO/IEC 18004)
+// - Picks the smallest version that fits and the mask with the lowest penalty score
+// - qrSvg() renders an SVG string (with the standard 4-module quiet zone) for an <img> data URL
+// - qrDecode() reads a code from camera frames or images (the Scan QR fallback without BarcodeDetector)
+
+const ECL_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+const ECL_INDEX = { L: 0, M: 1, Q: 2, H: 3 };
+// Per level (L, M, Q, H) and version (index 0 unused): ECC codewords per block, number of blocks
+const ECC_CODEWORDS_PER_BLOCK = [
+	[
+		-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30,
+		26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+	],
+	[
+		-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28,
+		28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+	],
+	[
+		-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30,
+		30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+	],
+	[
+		-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30,
+		30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+	],
+];
+const NUM_ERROR_CORRECTION_BLOCKS = [
+	[
+		-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15,
+		16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+	],
+	[
+		-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25,
+		26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+	],
+	[
+		-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34,
+		35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68,
+	],
+	[
+		-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37,
+		40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81,
+	],
+];
+
+const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// Modules left for data and ECC once the function patterns are placed
+function numRawDataModules(ver) {
+	let result = (16 * ver + 128) * ver + 64;
+	if (ver >= 2) {
+		const numAlign = Math.floor(ver / 7) + 2;
+		result -= (25 * numAlign - 10) * numAlign - 55;
+		if (ver >= 7) result -= 36;
+	}
+	return result;
+}
+
+function numDataCodewords(ver, e) {
+	return Math.floor(numRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[e][ver] * NUM_ERROR_CORRECTION_BLOCKS[e][ver];
+}
+
+// Reed-Solomon over GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+	let z = 0;
+	for (let i = 7; i >= 0; i--) {
+		z = (z << 1) ^ ((z >>> 7) * 0x11d);
+		z ^= ((y >>> i) & 1) * x;
+	}
+	return z;
+}
+
+function rsDivisor(degree) {
+	const result = new Array(degree).fill(0);
+	result[degree - 1] = 1;
+	let root = 1;
+	for (let i = 0; i < degree; i++) {
+		for (let j = 0; j < result.length; j++) {
+			result[j] = gfMultiply(result[j], root);
+			if (j + 1 < result.length) result[j] ^= result[j + 1];
+		}
+		root = gfMultiply(root, 0x02);
+	}
+	return result;
+}
+
+function rsRemainder(data, divisor) {
+	const result = divisor.map(() => 0);
+	for (const b of data) {
+		const factor = b ^ result.shift();
+		result.push(0);
+		divisor.forEach((coef, i) => (result[i] ^= gfMultiply(coef, factor)));
+	}
+	return result;
+}
+
+// Split the data into blocks, append each block's ECC and interleave them
+function addEcc(data, ver, e) {
+	const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[e][ver];
+	const eccLen = ECC_CODEWORDS_PER_BLOCK[e][ver];
+	const rawCodewords = Math.floor(numRawDataModules(ver) / 8);
+	const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+	const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+	const divisor = rsDivisor(eccLen);
+	const blocks = [];
+	for (let i = 0, k = 0; i < numBlocks; i++) {
+		const dat = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+		k += dat.length;
+		const ecc = rsRemainder(dat, divisor);
+		if (i < numShortBlocks) dat.push(0);
+		blocks.push(dat.concat(ecc));
+	}
+	const result = [];
+	for (let i = 0; i < blocks[0].length; i++) {
+		blocks.forEach((block, j) => {
+			// Skip the padding cell of the short blocks
+			if (i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+		});
+	}
+	return result;
+}
+
+function alignmentPositions(ver, size) {
+	if (ver === 1) return [];
+	const numAlign = Math.floor(ver / 7) + 2;
+	const step = Math.floor((ver * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+	const result = [6];
+	for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+	return result;
+}
+
+// 15-bit format word: level and mask with BCH(15,5) check bits, XORed so it is never all light
+function formatBits(ecl, mask) {
+	const data = (ECL_FORMAT_BITS[ecl] << 3) | mask;
+	let rem = data;
+	for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+	return ((data << 10) | rem) ^ 0x5412;
+}
+
+// 18-bit version word (versions 7+): version with BCH(18,6) check bits
+function versionBits(ver) {
+	let rem = ver;
+	for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+	return (ver << 12) | rem;
+}
+
+function drawFormatBits(grid, ecl, mask) {
+	const { size, set } = grid;
+	const bits = formatBits(ecl, mask);
+	for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i));
+	set(8, 7, bit(bits, 6));
+	set(8, 8, bit(bits, 7));
+	set(7, 8, bit(bits, 8));
+	for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i));
+	for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i));
+	for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i));
+	set(8, size - 8, true); // always dark
+}
+
+function drawFunctionPatterns(grid, ver, ecl) {
+	const { size, set } = grid;
+	for (let i = 0; i < size; i++) {
+		set(6, i, i % 2 === 0);
+		set(i, 6, i % 2 === 0);
+	}
+	for (const [cx, cy] of [
+		[3, 3],
+		[size - 4, 3],
+		[3, size - 4],
+	]) {
+		for (let dy = -4; dy <= 4; dy++) {
+			for (let dx = -4; dx <= 4; dx++) {
+				const dist = Math.max(Math.abs(dx), Math.abs(dy));
+				const x = cx + dx;
+				const y = cy + dy;
+				if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+			}
+		}
+	}
+	const align = alignmentPositions(ver, size);
+	const last = align.length - 1;
+	align.forEach((ax, i) => {
+		align.forEach((ay, j) => {
+			// The three corners hold finder patterns
+			if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+			for (let dy = -2; dy <= 2; dy++) {
+				for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+			}
+		});
+	});
+	// Reserve the format areas now; the real bits go in once the mask is chosen
+	drawFormatBits(grid, ecl, 0);
+	if (ver >= 7) {
+		const bits = versionBits(ver);
+		for (let i = 0; i < 18; i++) {
+			const a = size - 11 + (i % 3);
+			const b = Math.floor(i / 3);
+			set(a, b, bit(bits, i));
+			set(b, a, bit(bits, i));
+		}
+	}
+}
+
+// Zigzag order of the data modules, two columns at a time from the bottom right
+function* dataModules({ size, reserved }) {
+	for (let right = size - 1; right >= 1; right -= 2) {
+		if (right === 6) right = 5; // skip the vertical timing pattern
+		for (let vert = 0; vert < size; vert++) {
+			for (let j = 0; j < 2; j++) {
+				const x = right - j;
+				const upward = ((right + 1) & 2) === 0;
+				const y = upward ? size - 1 - vert : vert;
+				if (!reserved[y][x]) yield [x, y];
+			}
+		}
+	}
+}
+
+function drawCodewords(grid, data) {
+	let i = 0;
+	for (const [x, y] of dataModules(grid)) {
+		if (i >= data.length * 8) break;
+		grid.modules[y][x] = bit(data[i >>> 3], 7 - (i & 7));
+		i++;
+	}
+}
+
+const MASKS = [
+	(x, y) => (x + y) % 2 === 0,
+	(_x, y) => y % 2 === 0,
+	(x) => x % 3 === 0,
+	(x, y) => (x + y) % 3 === 0,
+	(x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+	(x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+	(x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+	(x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function applyMask(grid, mask) {
+	const { size, modules, reserved } = grid;
+	for (let y = 0; y < size; y++) {
+		for (let x = 0; x < size; x++) {
+			if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+		}
+	}
+}
+
+// Penalty rules N1-N4: long runs, 2x2 blocks, finder look-alikes and dark/light imbalance
+function penalty({ size, modules }) {
+	let score = 0;
+	const lines = [];
+	for (let i = 0; i < size; i++) {
+		lines.push(modules[i]);
+		lines.push(modules.map((row) => row[i]));
+	}
+	const finderLike = [true, false, true, true, true, false, true];
+	for (const line of lines) {
+		let run = 1;
+		for (let i = 1; i <= size; i++) {
+			if (i < size && line[i] === line[i - 1]) {
+				run++;
+				continue;
+			}
+			if (run >= 5) score += run - 2;
+			run = 1;
+		}
+		for (let i = 0; i + 7 <= size; i++) {
+			if (!finderLike.every((v, k) => line[i + k] === v)) continue;
+			const lightBefore = [1, 2, 3, 4].every((k) => i - k < 0 || !line[i - k]);
+			const lightAfter = [0, 1, 2, 3].every((k) => i + 7 + k >= size || !line[i + 7 + k]);
+			if (lightBefore || lightAfter) score += 40;
+		}
+	}
+	let dark = 0;
+	for (let y = 0; y < size; y++) {
+		for (let x = 0; x < size; x++) {
+			if (modules[y][x]) dark++;
+			if (x + 1 < size && y + 1 < size) {
+				const c = modules[y][x];
+				if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+			}
+		}
+	}
+	const total = size * size;
+	score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+	return score;
+}
+
+// Module matrix (rows of booleans, true = dark) for the UTF-8 bytes of text
+export function qrMatrix(text, ecl = 'M') {
+	if (!(ecl in ECL_INDEX)) throw new Error(`unknown error-correction level "${ecl}"`);
+	const e = ECL_INDEX[ecl];
+	const bytes = new TextEncoder().encode(text);
+	let ver = 1;
+	for (; ver <= 40; ver++) {
+		const countBits = ver <= 9 ? 8 : 16;
+		if (bytes.length < 2 ** countBits && 4 + countBits + bytes.length * 8 <= numDataCodewords(ver, e) * 8) break;
+	}
+	if (ver > 40) throw new Error('text too long for a QR code');
+
+	// Byte-mode segment, terminator, byte alignment and the alternating pad codewords
+	const capacity = numDataCodewords(ver, e) * 8;
+	const bits = [];
+	const push = (value, len) => {
+		for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+	};
+	push(0b0100, 4);
+	push(bytes.length, ver <= 9 ? 8 : 16);
+	for (const b of bytes) push(b, 8);
+	push(0, Math.min(4, capacity - bits.length));
+	push(0, (8 - (bits.length % 8)) % 8);
+	for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+	const data = [];
+	for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+
+	const size = ver * 4 + 17;
+	const grid = {
+		size,
+		modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+		reserved: Array.from({ length: size }, () => new Array(size).fill(false)),
+	};
+	grid.set = (x, y, dark) => {
+		grid.modules[y][x] = dark;
+		grid.reserved[y][x] = true;
+	};
+	drawFunctionPatterns(grid, ver, ecl);
+	drawCodewords(grid, addEcc(data, ver, e));
+
+	let best = -1;
+	let bestScore = Infinity;
+	for (let mask = 0; mask < 8; mask++) {
+		applyMask(grid, mask);
+		drawFormatBits(grid, ecl, mask);
+		const score = penalty(grid);
+		if (score < bestScore) {
+			best = mask;
+			bestScore = score;
+		}
+		applyMask(grid, mask); // XOR again to undo
+	}
+	applyMask(grid, best);
+	drawFormatBits(grid, ecl, best);
+	return grid.modules;
+}
+
+// SVG markup: one path of dark modules on a white background, crisp at any size
+export function qrSvg(text, { ecl = 'M', margin = 4 } = {}) {
+	const modules = qrMatrix(text, ecl);
+	const dim = modules.length + margin * 2;
+	let path = '';
+	modules.forEach((row, y) => {
+		row.forEach((dark, x) => {
+			if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+		});
+	});
+	return (
+		`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges">` +
+		`<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`
+	);
+}
+
+// Decoder, for pages whose browser has no BarcodeDetector: finds the three finder patterns (and the
+// bottom-right alignment pattern), samples the grid through a perspective transform, then undoes
+// mask, interleaving and (via Reed-Solomon) damage. Reads numeric, alphanumeric and byte segments.
+
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++, x = gfMultiply(x, 0x02)) {
+	GF_EXP[i] = x;
+	GF_LOG[x] = i;
+}
+for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+const gfMul = (a, b) => (a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0);
+const gfDiv = (a, b) => (a ? GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]] : 0);
+// Polynomial with the lowest-degree coefficient first
+const polyEval = (poly, x) => poly.reduceRight((acc, c) => gfMul(acc, x) ^ c, 0);
+const syndromes = (block, nsym) =>
+	Array.from({ length: nsym }, (_, j) => block.reduce((acc, b) => gfMul(acc, GF_EXP[j]) ^ b, 0));
+
+// Fix up to nsym/2 wrong codewords of a block (data then ECC) in place; false when beyond repair
+function rsCorrect(block, nsym) {
+	const synd = syndromes(block, nsym);
+	if (synd.every((s) => s === 0)) return true;
+	// Berlekamp-Massey for the error locator
+	let locator = [1];
+	let prev = [1];
+	let prevDelta = 1;
+	let errors = 0;
+	let shift = 1;
+	for (let k = 0; k < nsym; k++) {
+		let delta = synd[k];
+		for (let i = 1; i <= errors; i++) delta ^= gfMul(locator[i] || 0, synd[k - i]);
+		if (delta === 0) {
+			shift++;
+			continue;
+		}
+		const next = locator.concat(new Array(Math.max(0, prev.length + shift - locator.length)).fill(0));
+		const coef = gfDiv(delta, prevDelta);
+		prev.forEach((c, i) => (next[i + shift] ^= gfMul(coef, c)));
+		if (2 * errors <= k) {
+			errors = k + 1 - errors;
+			prev = locator;
+			prevDelta = delta;
+			shift = 1;
+		} else {
+			shift++;
+		}
+		locator = next;
+	}
+	if (2 * errors > nsym) return false;
+	// Chien search: codeword p sits at power n-1-p, an error there is a root at its inverse
+	const n = block.length;
+	const positions = [];
+	for (let p = 0; p < n; p++) {
+		if (polyEval(locator, GF_EXP[255 - (n - 1 - p)]) === 0) positions.push(p);
+	}
+	if (positions.length !== errors) return false;
+	// Forney: error values from the evaluator polynomial and the locator's formal derivative
+	const evaluator = new Array(nsym).fill(0);
+	synd.forEach((s, i) => locator.forEach((c, j) => i + j < nsym && (evaluator[i + j] ^= gfMul(s, c))));
+	const derivative = locator.slice(1).map((c, i) => (i % 2 === 0 ? c : 0));
+	for (const p of positions) {
+		const power = n - 1 - p;
+		const inverse = GF_EXP[255 - power];
+		const den = polyEval(derivative, inverse);
+		if (!den) return false;
+		block[p] ^= gfMul(GF_EXP[power], gfDiv(polyEval(evaluator, inverse), den));
+	}
+	return syndromes(block, nsym).every((s) => s === 0);
+}
+
+// Undo addEcc(): de-interleave the codewords into blocks of data followed by ECC
+function splitBlocks(codewords, ver, e) {
+	const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[e][ver];
+	const eccLen = ECC_CODEWORDS_PER_BLOCK[e][ver];
+	const rawCodewords = Math.floor(numRawDataModules(ver) / 8);
+	const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+	const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+	const blocks = Array.from({ length: numBlocks }, () => []);
+	let k = 0;
+	for (let i = 0; i <= shortBlockLen; i++) {
+		blocks.forEach((block, j) => {
+			if (i !== shortBlockLen - eccLen || j >= numShortBlocks) block.push(codewords[k++]);
+		});
+	}
+	return blocks;
+}
+
+const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+function parseSegments(data, ver) {
+	let pos = 0;
+	const read = (len) => {
+		if (pos + len > data.length * 8) throw new Error('truncated QR data');
+		let value = 0;
+		for (let i = 0; i < len; i++, pos++) value = (value << 1) | (bit(data[pos >>> 3], 7 - (pos & 7)) ? 1 : 0);
+		return value;
+	};
+	const countBits = (small, medium, large) => (ver <= 9 ? small : ver <= 26 ? medium : large);
+	const bytes = [];
+	const text = (s) => bytes.push(...Array.from(s, (c) => c.charCodeAt(0)));
+	while (data.length * 8 - pos >= 4) {
+		const mode = read(4);
+		if (mode === 0) break;
+		if (mode === 0b0100) {
+			for (let n = read(countBits(8, 16, 16)); n > 0; n--) bytes.push(read(8));
+		} else if (mode === 0b0010) {
+			let n = read(countBits(9, 11, 13));
+			for (; n >= 2; n -= 2) {
+				const v = read(11);
+				text(ALPHANUMERIC[Math.floor(v / 45)] + ALPHANUMERIC[v % 45]);
+			}
+			if (n) text(ALPHANUMERIC[read(6)]);
+		} else if (mode === 0b0001) {
+			let n = read(countBits(10, 12, 14));
+			for (; n >= 3; n -= 3) text(String(read(10)).padStart(3, '0'));
+			if (n === 2) text(String(read(7)).padStart(2, '0'));
+			if (n === 1) text(String(read(4)));
+		} else if (mode === 0b0111) {
+			// ECI designator (1-3 bytes); the text is read as UTF-8 either way
+			const first = read(8);
+			if (first & 0x80) read(first & 0x40 ? 16 : 8);
+		} else {
+			throw new Error(`unsupported QR segment mode ${mode}`);
+		}
+	}
+	return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+const FORMATS = ['L', 'M', 'Q', 'H'].flatMap((ecl) =>
+	[0, 1, 2, 3, 4, 5, 6, 7].map((mask) => ({ bits: formatBits(ecl, mask), ecl, mask })),
+);
+const VERSIONS = Array.from({ length: 34 }, (_, i) => ({ bits: versionBits(i + 7), ver: i + 7 }));
+
+const bitCount = (v) => {
+	let n = 0;
+	for (; v; v &= v - 1) n++;
+	return n;
+};
+// The valid word closest to either copy, if it is at most 3 bits off
+function nearest(words, copies) {
+	let best = null;
+	let bestDistance = 4;
+	for (const word of words) {
+		for (const copy of copies) {
+			const d = bitCount(word.bits ^ copy);
+			if (d < bestDistance) {
+				best = word;
+				bestDistance = d;
+			}
+		}
+	}
+	return best;
+}
+
+// Text of a sampled module grid; throws when it does not read as a QR code
+function readModules(modules) {
+	const size = modules.length;
+	const ver = (size - 17) / 4;
+	const readBits = (cells) => cells.reduce((acc, [x, y], i) => acc | (modules[y][x] ? 1 << i : 0), 0);
+	const formatCells = [];
+	drawFormatBits({ size, set: (x, y) => formatCells.push([x, y]) }, 'L', 0);
+	const format = nearest(FORMATS, [readBits(formatCells.slice(0, 15)), readBits(formatCells.slice(15, 30))]);
+	if (!format) throw new Error('unreadable format information');
+	if (ver >= 7) {
+		const cells = [[], []];
+		for (let i = 0; i < 18; i++) {
+			cells[0].push([size - 11 + (i % 3), Math.floor(i / 3)]);
+			cells[1].push([Math.floor(i / 3), size - 11 + (i % 3)]);
+		}
+		if (nearest(VERSIONS, cells.map(readBits))?.ver !== ver) throw new Error('version mismatch');
+	}
+	const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+	drawFunctionPatterns({ size, set: (x, y) => (reserved[y][x] = true) }, ver, format.ecl);
+	const codewords = [];
+	let byte = 0;
+	let n = 0;
+	for (const [x, y] of dataModules({ size, reserved })) {
+		byte = (byte << 1) | (modules[y][x] !== MASKS[format.mask](x, y) ? 1 : 0);
+		if (++n % 8 === 0) {
+			codewords.push(byte);
+			byte = 0;
+		}
+	}
+	const e = ECL_INDEX[format.ecl];
+	const eccLen = ECC_CODEWORDS_PER_BLOCK[e][ver];
+	const data = [];
+	for (const block of splitBlocks(codewords, ver, e)) {
+		if (!rsCorrect(block, eccLen)) throw new Error('too many errors');
+		data.push(...block.slice(0, block.length - eccLen));
+	}
+	return parseSegments(data, ver);
+}
+
+// Dark/light per pixel: darker than the local mean (window about a quarter of the frame), or in
+// the global pass, than the mean of the whole frame
+function binarize({ data, width, height }, local) {
+	const gray = new Uint8Array(width * height);
+	for (let i = 0; i < gray.length; i++) {
+		gray[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+	}
+	const dark = new Uint8Array(width * height);
+	if (!local) {
+		const mean = gray.reduce((a, b) => a + b, 0) / gray.length;
+		for (let i = 0; i < gray.length; i++) dark[i] = gray[i] < mean ? 1 : 0;
+		return { width, height, dark };
+	}
+	const w1 = width + 1;
+	const sums = new Float64Array(w1 * (height + 1));
+	for (let y = 0; y < height; y++) {
+		let row = 0;
+		for (let x = 0; x < width; x++) {
+			row += gray[y * width + x];
+			sums[(y + 1) * w1 + x + 1] = sums[y * w1 + x + 1] + row;
+		}
+	}
+	const r = Math.max(8, Math.floor(Math.min(width, height) / 8));
+	for (let y = 0; y < height; y++) {
+		const y0 = Math.max(0, y - r);
+		const y1 = Math.min(height, y + r + 1);
+		for (let x = 0; x < width; x++) {
+			const x0 = Math.max(0, x - r);
+			const x1 = Math.min(width, x + r + 1);
+			const sum = sums[y1 * w1 + x1] - sums[y0 * w1 + x1] - sums[y1 * w1 + x0] + sums[y0 * w1 + x0];
+			dark[y * width + x] = gray[y * width + x] * (x1 - x0) * (y1 - y0) < sum * 0.9 ? 1 : 0;
+		}
+	}
+	return { width, height, dark };
+}
+
+// true = dark, null = outside the image
+function at(img, x, y) {
+	x = Math.floor(x);
+	y = Math.floor(y);
+	if (x < 0 || y < 0 || x >= img.width || y >= img.height) return null;
+	return img.dark[y * img.width + x] === 1;
+}
+
+const FINDER = [1, 1, 3, 1, 1];
+const ALIGNMENT = [1, 1, 1]; // light ring, dark centre, light ring
+
+function ratioOk(counts, pattern) {
+	const unit = counts.reduce((a, b) => a + b, 0) / pattern.reduce((a, b) => a + b, 0);
+	return unit > 0 && counts.every((c, i) => Math.abs(c - pattern[i] * unit) < unit * (pattern[i] === 1 ? 0.7 : 1.5));
+}
+
+// Runs through (cx, cy) along (dx, dy), starting from the dark run there, with the colours of the
+// pattern alternating outwards from its middle entry. Returns the middle run's centre (as an offset
+// along the line) and the pattern's length, or null when the runs do not match the pattern.
+function crossCheck(img, cx, cy, dx, dy, pattern, maxTotal) {
+	const mid = (pattern.length - 1) / 2;
+	const counts = pattern.map(() => 0);
+	const reach = [0, 0];
+	for (const [side, dir] of [
+		[0, 1],
+		[1, -1],
+	]) {
+		let k = mid;
+		let dark = true;
+		for (let t = side; ; t++) {
+			// Past the edge counts as light, like a quiet zone cropped off by the frame
+			const d = at(img, cx + dx * t * dir, cy + dy * t * dir) ?? false;
+			if (d !== dark) {
+				dark = d;
+				k += dir;
+				if (k < 0 || k >= pattern.length) break;
+			}
+			if (++counts[k] > maxTotal) return null;
+			if (k === mid) reach[side]++;
+		}
+	}
+	if (!ratioOk(counts, pattern)) return null;
+	return { offset: (reach[0] - reach[1] - 1) / 2, total: counts.reduce((a, b) => a + b, 0) };
+}
+
+// Runs of one colour along a row, as { start, len, dark }
+function rowRuns(img, y, x0 = 0, x1 = img.width) {
+	const runs = [];
+	for (let x = x0; x < x1; x++) {
+		const dark = at(img, x, y);
+		const last = runs[runs.length - 1];
+		if (last && last.dark === dark) last.len++;
+		else runs.push({ start: x, len: 1, dark });
+	}
+	return runs;
+}
+
+// Finder pattern centres: 1:1:3:1:1 along a row, confirmed down the column and diagonally.
+// Repeated hits on the same pattern are merged; count says how many rows saw it.
+function findFinders(img) {
+	const found = [];
+	for (let y = 0; y < img.height; y++) {
+		const runs = rowRuns(img, y);
+		for (let i = 0; i + 5 <= runs.length; i++) {
+			if (!runs[i].dark) continue;
+			const counts = runs.slice(i, i + 5).map((r) => r.len);
+			if (!ratioOk(counts, FINDER)) continue;
+			const total = counts.reduce((a, b) => a + b, 0);
+			let x = runs[i + 2].start + runs[i + 2].len / 2;
+			const v = crossCheck(img, x, y + 0.5, 0, 1, FINDER, total * 2);
+			if (!v) continue;
+			const cy = y + 0.5 + v.offset;
+			const h = crossCheck(img, x, cy, 1, 0, FINDER, total * 2);
+			if (!h) continue;
+			x += h.offset;
+			if (!crossCheck(img, x, cy, 1, 1, FINDER, total * 2)) continue;
+			const size = (h.total + v.total) / 14;
+			const same = found.find(
+				(f) => Math.abs(f.x - x) <= f.size * 2 && Math.abs(f.y - cy) <= f.size * 2 && Math.abs(f.size - size) <= f.size,
+			);
+			if (!same) {
+				found.push({ x, y: cy, size, count: 1 });
+				continue;
+			}
+			same.x = (same.x * same.count + x) / (same.count + 1);
+			same.y = (same.y * same.count + cy) / (same.count + 1);
+			same.size = (same.size * same.count + size) / (same.count + 1);
+			same.count++;
+		}
+	}
+	return found;
+}
+
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Plausible (top-left, top-right, bottom-left) finder triples, best first: similar sizes, and a
+// right isosceles triangle between them
+function finderTriples(found) {
+	const confirmed = found.filter((f) => f.count >= 2);
+	const pool = (confirmed.length >= 3 ? confirmed : found).sort((a, b) => b.count - a.count).slice(0, 8);
+	const triples = [];
+	for (let i = 0; i < pool.length; i++) {
+		for (let j = i + 1; j < pool.length; j++) {
+			for (let k = j + 1; k < pool.length; k++) {
+				const pts = [pool[i], pool[j], pool[k]];
+				const sizes = pts.map((p) => p.size);
+				if (Math.max(...sizes) > Math.min(...sizes) * 2) continue;
+				// The corner facing the longest side is the top-left one
+				const opposite = [dist(pts[1], pts[2]), dist(pts[0], pts[2]), dist(pts[0], pts[1])];
+				const corner = opposite.indexOf(Math.max(...opposite));
+				const tl = pts[corner];
+				let [tr, bl] = pts.filter((_, n) => n !== corner);
+				const a = dist(tl, tr);
+				const b = dist(tl, bl);
+				const c = opposite[corner];
+				if (Math.min(a, b) < 7 * Math.max(...sizes)) continue;
+				const err = Math.abs(c * c - a * a - b * b) / (c * c) + Math.abs(a - b) / Math.max(a, b);
+				if (err > 0.6) continue;
+				// Image y points down: clockwise from top-left, top-right comes first
+				if ((tr.x - tl.x) * (bl.y - tl.y) - (tr.y - tl.y) * (bl.x - tl.x) < 0) [tr, bl] = [bl, tr];
+				triples.push({ tl, tr, bl, err });
+			}
+		}
+	}
+	return triples.sort((a, b) => a.err - b.err).slice(0, 4);
+}
+
+// Module size from a finder's width along the line towards another finder: from its centre, the
+// third colour change either way is its outer edge, 3.5 modules out
+function moduleSizeAlong(img, from, to) {
+	const len = dist(from, to);
+	const ux = (to.x - from.x) / len;
+	const uy = (to.y - from.y) / len;
+	let total = 0;
+	for (const dir of [1, -1]) {
+		let dark = true;
+		let changes = 0;
+		let t = 0;
+		for (; changes < 3; t++) {
+			const d = at(img, from.x + ux * t * dir, from.y + uy * t * dir);
+			if (d === null || t > len) return from.size;
+			if (d !== dark) {
+				dark = d;
+				changes++;
+			}
+		}
+		total += t - 1.5; // the edge lies between the last dark sample and the first light one
+	}
+	return total / 7;
+}
+
+// Alignment pattern centre near (ex, ey): light-dark-light of about one module each way, with the
+// rest of the 5x5 pattern (light ring, dark ring) where the module steps `axes` say it should be.
+// The candidate closest to the estimate wins, searching a growing window.
+function findAlignment(img, ex, ey, moduleSize, axes) {
+	const ring = (x, y, dist, dark) =>
+		[-1, 0, 1].every((i) =>
+			[-1, 0, 1].every(
+				(j) =>
+					(!i && !j) ||
+					at(img, x + dist * (i * axes[0].x + j * axes[1].x), y + dist * (i * axes[0].y + j * axes[1].y)) === dark,
+			),
+		);
+	for (const radius of [4, 8, 16]) {
+		const r = Math.ceil(radius * moduleSize);
+		let best = null;
+		for (let y = Math.max(0, Math.floor(ey - r)); y < Math.min(img.height, ey + r); y++) {
+			const runs = rowRuns(img, y, Math.max(0, Math.floor(ex - r)), Math.min(img.width, Math.ceil(ex + r)));
+			for (let i = 1; i + 1 < runs.length; i++) {
+				if (!runs[i].dark) continue;
+				const counts = [runs[i - 1].len, runs[i].len, runs[i + 1].len];
+				const unit = (counts[0] + counts[1] + counts[2]) / 3;
+				if (!ratioOk(counts, ALIGNMENT) || Math.abs(unit - moduleSize) > moduleSize / 2) continue;
+				let x = runs[i].start + runs[i].len / 2;
+				const v = crossCheck(img, x, y + 0.5, 0, 1, ALIGNMENT, moduleSize * 5);
+				if (!v) continue;
+				const cy = y + 0.5 + v.offset;
+				const h = crossCheck(img, x, cy, 1, 0, ALIGNMENT, moduleSize * 5);
+				if (!h) continue;
+				x += h.offset;
+				if (!ring(x, cy, 1, false) || !ring(x, cy, 2, true)) continue;
+				const d = Math.hypot(x - ex, cy - ey);
+				if (!best || d < best.d) best = { x, y: cy, d };
+			}
+		}
+		if (best) return best;
+	}
+	return null;
+}
+
+// Homography taking the unit square's corners (0,0) (1,0) (1,1) (0,1) to the quad p0..p3
+function squareToQuad([p0, p1, p2, p3]) {
+	const dx1 = p1.x - p2.x;
+	const dx2 = p3.x - p2.x;
+	const dx3 = p0.x - p1.x + p2.x - p3.x;
+	const dy1 = p1.y - p2.y;
+	const dy2 = p3.y - p2.y;
+	const dy3 = p0.y - p1.y + p2.y - p3.y;
+	const den = dx1 * dy2 - dx2 * dy1;
+	const g = (dx3 * dy2 - dx2 * dy3) / den;
+	const h = (dx1 * dy3 - dx3 * dy1) / den;
+	return [
+		[p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x],
+		[p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y],
+		[g, h, 1],
+	];
+}
+
+// Inverse up to scale (the adjugate), which is all a homography needs
+function adjugate([[a, b, c], [d, e, f], [g, h, i]]) {
+	return [
+		[e * i - f * h, c * h - b * i, b * f - c * e],
+		[f * g - d * i, a * i - c * g, c * d - a * f],
+		[d * h - e * g, b * g - a * h, a * e - b * d],
+	];
+}
+
+const multiply = (m, n) => m.map((row) => n[0].map((_, j) => row.reduce((acc, v, k) => acc + v * n[k][j], 0)));
+
+function project(m, x, y) {
+	const w = m[2][0] * x + m[2][1] * y + m[2][2];
+	return [(m[0][0] * x + m[0][1] * y + m[0][2]) / w, (m[1][0] * x + m[1][1] * y + m[1][2]) / w];
+}
+
+// Sample a version-`ver` grid: finder centres sit 3.5 modules in from the corners, the bottom-right
+// alignment centre 6.5 (without one, the fourth corner completes the parallelogram)
+function sampleGrid(img, { tl, tr, bl }, ver, moduleSize, useAlignment) {
+	const size = ver * 4 + 17;
+	const far = size - 3.5;
+	let corner = { x: tr.x - tl.x + bl.x, y: tr.y - tl.y + bl.y };
+	let inset = far;
+	if (ver >= 2 && useAlignment) {
+		const k = 1 - 3 / (size - 7);
+		const step = (to) => ({ x: (to.x - tl.x) / (size - 7), y: (to.y - tl.y) / (size - 7) });
+		const align = findAlignment(img, tl.x + k * (corner.x - tl.x), tl.y + k * (corner.y - tl.y), moduleSize, [
+			step(tr),
+			step(bl),
+		]);
+		if (align) {
+			corner = align;
+			inset = size - 6.5;
+		}
+	}
+	const from = [
+		{ x: 3.5, y: 3.5 },
+		{ x: far, y: 3.5 },
+		{ x: inset, y: inset },
+		{ x: 3.5, y: far },
+	];
+	const m = multiply(squareToQuad([tl, tr, corner, bl]), adjugate(squareToQuad(from)));
+	return Array.from({ length: size }, (_, y) =>
+		Array.from({ length: size }, (_, x) => at(img, ...project(m, x + 0.5, y + 0.5)) === true),
+	);
+}
+
+// Text of the first QR code found in an ImageData-like { data, width, height } (RGBA), or null
+export function qrDecode(image) {
+	for (const local of [true, false]) {
+		const img = binarize(image, local);
+		for (const finders of finderTriples(findFinders(img))) {
+			const { tl, tr, bl } = finders;
+			const moduleSize =
+				(moduleSizeAlong(img, tl, tr) +
+					moduleSizeAlong(img, tr, tl) +
+					moduleSizeAlong(img, tl, bl) +
+					moduleSizeAlong(img, bl, tl)) /
+				4;
+			const modules = (dist(tl, tr) + dist(tl, bl)) / 2 / moduleSize + 7;
+			const ver = Math.round((modules - 17) / 4);
+			for (const v of [ver, ver - 1, ver + 1]) {
+				if (v < 1 || v > 40) continue;
+				for (const useAlignment of v >= 2 ? [true, false] : [false]) {
+					try {
+						return readModules(sampleGrid(img, finders, v, moduleSize, useAlignment));
+					} catch {}
+				}
+			}
+		}
+	}
+	return null;
+}
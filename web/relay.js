@@ -0,0 +1,53 @@
+// Server relay fallback for when WebRTC cannot connect (no TURN, strict NAT/firewall)
+// - createRelayChannel() returns a stand-in for an RTCDataChannel, so the usual file protocol
+//   (JSON header, binary chunks, JSON end) runs unchanged over the server's relay socket
+// - Traffic is not end-to-end encrypted: the server sees the file bytes (TLS only protects the hops)
+
+// protocols: the subprotocols signaling offers (with SSO the ID token rides along)
+export function createRelayChannel(url, protocols) {
+	const sock = new WebSocket(url, protocols);
+	sock.binaryType = 'arraybuffer';
+	const channel = {
+		label: 'relay',
+		binaryType: 'arraybuffer',
+		bufferedAmountLowThreshold: 0,
+		readyState: 'connecting',
+		closeReason: '',
+		onopen: null,
+		onclose: null,
+		onmessage: null,
+		get bufferedAmount() {
+			return sock.bufferedAmount;
+		},
+		send(data) {
+			sock.send(data);
+		},
+		close() {
+			if (channel.readyState === 'closed') return;
+			channel.readyState = 'closing';
+			try {
+				sock.close(1000);
+			} catch {}
+		},
+	};
+	sock.onmessage = (ev) => {
+		// The server says when the peer has joined; everything after that comes from the peer
+		if (channel.readyState === 'connecting') {
+			try {
+				if (JSON.parse(ev.data).type !== 'relay-open') return;
+			} catch {
+				return;
+			}
+			channel.readyState = 'open';
+			if (channel.onopen) channel.onopen();
+			return;
+		}
+		if (channel.onmessage) channel.onmessage({ data: ev.data });
+	};
+	sock.onclose = (ev) => {
+		channel.readyState = 'closed';
+		channel.closeReason = ev.reason || '';
+		if (channel.onclose) channel.onclose();
+	};
+	return channel;
+}
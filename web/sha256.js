@@ -0,0 +1,180 @@
+// Incremental SHA-256 (FIPS 180-4) for hashing files as a stream: WebCrypto only digests whole
+// buffers and is missing outside secure contexts
+// - createSha256().update(bytes) any number of times, then digest() for the lowercase hex
+// - hashBlob() and hashStream() run it in a worker (hash-worker.js) so large files do not block the page
+
+const K = new Uint32Array([
+	0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5, 0xd807aa98,
+	0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+	0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da, 0x983e5152, 0xa831c66d, 0xb00327c8,
+	0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+	0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819,
+	0xd6990624, 0xf40e3585, 0x106aa070, 0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+	0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7,
+	0xc67178f2,
+]);
+
+export function createSha256() {
+	const h = new Uint32Array([
+		0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+	]);
+	const w = new Uint32Array(64);
+	const buf = new Uint8Array(64); // a block not filled yet
+	let buffered = 0;
+	let length = 0; // bytes hashed so far
+
+	function block(data, at) {
+		for (let i = 0; i < 16; i++, at += 4) {
+			w[i] = (data[at] << 24) | (data[at + 1] << 16) | (data[at + 2] << 8) | data[at + 3];
+		}
+		for (let i = 16; i < 64; i++) {
+			const a = w[i - 15];
+			const b = w[i - 2];
+			const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+			const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+			w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+		}
+		let a = h[0];
+		let b = h[1];
+		let c = h[2];
+		let d = h[3];
+		let e = h[4];
+		let f = h[5];
+		let g = h[6];
+		let k = h[7];
+		for (let i = 0; i < 64; i++) {
+			const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+			const t1 = (k + s1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+			const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+			const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+			k = g;
+			g = f;
+			f = e;
+			e = (d + t1) | 0;
+			d = c;
+			c = b;
+			b = a;
+			a = (t1 + t2) | 0;
+		}
+		h[0] += a;
+		h[1] += b;
+		h[2] += c;
+		h[3] += d;
+		h[4] += e;
+		h[5] += f;
+		h[6] += g;
+		h[7] += k;
+	}
+
+	const hash = {
+		update(bytes) {
+			let at = 0;
+			length += bytes.length;
+			if (buffered) {
+				const n = Math.min(64 - buffered, bytes.length);
+				buf.set(bytes.subarray(0, n), buffered);
+				buffered += n;
+				at = n;
+				if (buffered < 64) return hash;
+				block(buf, 0);
+				buffered = 0;
+			}
+			for (; at + 64 <= bytes.length; at += 64) block(bytes, at);
+			buf.set(bytes.subarray(at), 0);
+			buffered = bytes.length - at;
+			return hash;
+		},
+		digest() {
+			const bits = length * 8;
+			const pad = new Uint8Array((buffered < 56 ? 56 : 120) - buffered + 8);
+			pad[0] = 0x80;
+			const view = new DataView(pad.buffer);
+			view.setUint32(pad.length - 8, Math.floor(bits / 2 ** 32));
+			view.setUint32(pad.length - 4, bits >>> 0);
+			hash.update(pad);
+			return [...h].map((x) => x.toString(16).padStart(8, '0')).join('');
+		},
+	};
+	return hash;
+}
+
+// SHA-256 of a Uint8Array (a block of a file): WebCrypto where there is one
+export async function sha256Hex(bytes) {
+	try {
+		const digest = await crypto.subtle.digest('SHA-256', bytes);
+		return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+	} catch {
+		return createSha256().update(bytes).digest();
+	}
+}
+
+let worker = null;
+const pending = new Map(); // job id -> { blob?, resolve, reject }
+let jobs = 0;
+
+// The shared hashing worker, or null where none starts (or it broke)
+function hashWorker() {
+	if (worker === false) return null;
+	try {
+		if (!worker) {
+			worker = new Worker(new URL('./hash-worker.js', import.meta.url), { type: 'module' });
+			worker.onmessage = (ev) => {
+				const job = pending.get(ev.data.id);
+				pending.delete(ev.data.id);
+				if (ev.data.error) job?.reject(new Error(ev.data.error));
+				else job?.resolve(ev.data.hex);
+			};
+			worker.onerror = () => {
+				worker = false;
+				for (const job of pending.values()) {
+					if (job.blob) streamHash(job.blob).then(job.resolve, job.reject);
+					else job.reject(new Error('hash worker failed'));
+				}
+				pending.clear();
+			};
+		}
+		return worker;
+	} catch {
+		worker = false;
+		return null;
+	}
+}
+
+// SHA-256 of a whole Blob or File, streamed in a worker (or here, without one)
+export function hashBlob(blob) {
+	const w = hashWorker();
+	if (!w) return streamHash(blob);
+	const id = ++jobs;
+	return new Promise((resolve, reject) => {
+		pending.set(id, { blob, resolve, reject });
+		w.postMessage({ id, blob });
+	});
+}
+
+// SHA-256 of a file that arrives in parts: update(bytes) in order, then digest()
+export function hashStream() {
+	const w = hashWorker();
+	if (!w) {
+		const hash = createSha256();
+		return { update: (bytes) => hash.update(bytes), digest: async () => hash.digest() };
+	}
+	const id = ++jobs;
+	return {
+		update: (bytes) => w.postMessage({ id, bytes }),
+		digest: () =>
+			new Promise((resolve, reject) => {
+				pending.set(id, { resolve, reject });
+				w.postMessage({ id, end: true });
+			}),
+	};
+}
+
+export async function streamHash(blob) {
+	const hash = createSha256();
+	const reader = blob.stream().getReader();
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) return hash.digest();
+		hash.update(value);
+	}
+}
@@ -0,0 +1,118 @@
+// Where received files go instead of the page's memory
+// - folderSink(): a folder the user picked (File System Access API), written as the file arrives
+// - downloadSink(): elsewhere a streaming download through the service worker (sw.js), written
+//   to disk by the browser's download manager
+// Sinks take a file's checked bytes in order: write(bytes) ..., then close() or abort()
+
+// A name in dir that no file has yet: "name (1).ext" and so on
+async function freeName(dir, name) {
+	const dot = name.lastIndexOf('.');
+	const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+	for (let n = 0; ; n++) {
+		const candidate = n ? `${stem} (${n})${ext}` : name;
+		try {
+			await dir.getFileHandle(candidate);
+		} catch {
+			return candidate;
+		}
+	}
+}
+
+// Writes to a new file under root at a relative path, creating its folders
+export async function folderSink(root, path) {
+	const parts = path.split('/');
+	let dir = root;
+	for (const part of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(part, { create: true });
+	const name = await freeName(dir, parts[parts.length - 1]);
+	const handle = await dir.getFileHandle(name, { create: true });
+	const writable = await handle.createWritable();
+	const sink = {
+		label: [root.name, ...parts.slice(0, -1), name].join('/'),
+		written: 0,
+		async write(bytes) {
+			await writable.write(bytes);
+			sink.written += bytes.length;
+		},
+		// The file as saved; reading it back comes from disk
+		async close() {
+			await writable.close();
+			return handle.getFile();
+		},
+		async abort() {
+			await writable.abort().catch(() => {});
+			await dir.removeEntry(name).catch(() => {});
+		},
+	};
+	return sink;
+}
+
+// Whether downloads can be streamed: a service worker controls the page
+export function canStreamDownloads() {
+	return !!navigator.serviceWorker?.controller;
+}
+
+let downloading = 0;
+let keepalive = null;
+
+// Streams a file to the browser's downloads
+export async function downloadSink({ name, size, mime }) {
+	const id = crypto.randomUUID();
+	const { port1: port, port2 } = new MessageChannel();
+	let credits = 0; // parts the download is ready to take
+	let cancelled = false;
+	let wake = null; // a write waiting for credit
+	await new Promise((resolve, reject) => {
+		const timer = setTimeout(() => reject(new Error('the service worker did not answer')), 5000);
+		port.onmessage = ({ data }) => {
+			if (data.ready) {
+				clearTimeout(timer);
+				resolve();
+			}
+			if (data.pull) credits++;
+			if (data.cancelled) cancelled = true;
+			wake?.();
+			wake = null;
+		};
+		navigator.serviceWorker.controller.postMessage({ type: 'download', id, name, size, mime }, [port2]);
+	});
+	const frame = document.createElement('iframe');
+	frame.hidden = true;
+	frame.src = `/downloads/${id}/${encodeURIComponent(name)}`;
+	document.body.appendChild(frame);
+	// Browsers stop idle service workers, also in the middle of a long download
+	if (!downloading++) {
+		keepalive = setInterval(() => navigator.serviceWorker.controller?.postMessage({ type: 'keepalive' }), 10_000);
+	}
+	let finished = false;
+	const finish = () => {
+		if (finished) return;
+		finished = true;
+		if (!--downloading) clearInterval(keepalive);
+		setTimeout(() => frame.remove(), 60_000);
+	};
+	const sink = {
+		label: 'Downloads',
+		written: 0,
+		async write(bytes) {
+			while (!credits && !cancelled) await new Promise((r) => (wake = r));
+			if (cancelled) {
+				finish();
+				throw new Error('download cancelled');
+			}
+			credits--;
+			sink.written += bytes.length;
+			const part = bytes.slice().buffer;
+			port.postMessage({ bytes: part }, [part]);
+		},
+		async close() {
+			port.postMessage({ done: true });
+			finish();
+			return null;
+		},
+		async abort() {
+			port.postMessage({ abort: true });
+			finish();
+		},
+	};
+	return sink;
+}
@@ -0,0 +1,49 @@
+// Service worker for streaming downloads: a large received file goes to the browser's download
+// manager while it arrives instead of piling up in the page's memory (downloadSink() in sinks.js)
+// - The page announces a download with a MessagePort, then opens /downloads/<id>/<name> in a
+//   hidden frame; the response body is fed from the port, one part per pull
+// - Every other request goes to the network as usual
+
+const downloads = new Map(); // id -> { port, name, size, mime }
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (ev) => ev.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (ev) => {
+	const { type, id, name, size, mime } = ev.data || {};
+	// Keepalive messages only wake the worker up during long downloads
+	if (type !== 'download' || !ev.ports[0]) return;
+	downloads.set(id, { port: ev.ports[0], name, size, mime });
+	ev.ports[0].postMessage({ ready: true });
+});
+
+self.addEventListener('fetch', (ev) => {
+	const m = new URL(ev.request.url).pathname.match(/^\/downloads\/([\w-]+)\//);
+	const download = m && downloads.get(m[1]);
+	if (!download) return;
+	downloads.delete(m[1]);
+	const { port } = download;
+	const body = new ReadableStream({
+		start(controller) {
+			port.onmessage = ({ data }) => {
+				if (data.bytes) controller.enqueue(new Uint8Array(data.bytes));
+				else if (data.done) controller.close();
+				else if (data.abort) controller.error(new Error('transfer failed'));
+			};
+		},
+		// One part at a time: the page waits for a pull before sending the next
+		pull() {
+			port.postMessage({ pull: true });
+		},
+		cancel() {
+			port.postMessage({ cancelled: true });
+		},
+	});
+	const headers = {
+		'Content-Type': download.mime || 'application/octet-stream',
+		'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.name)}`,
+		'X-Content-Type-Options': 'nosniff',
+	};
+	if (download.size) headers['Content-Length'] = String(download.size);
+	ev.respondWith(new Response(body, { headers }));
+});
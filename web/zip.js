@@ -0,0 +1,88 @@
+// Minimal .zip writer for saving a received folder where the browser cannot write to a directory
+// (no File System Access API)
+// - Entries are stored as they are (no compression) under their relative paths, so the archive
+//   unpacks to the same tree
+// - UTF-8 names; no ZIP64, so at most 65535 entries and the whole archive under 4 GB (checked
+//   before any file is read)
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	return c >>> 0;
+});
+
+async function crc32(blob) {
+	let crc = 0xffffffff;
+	const reader = blob.stream().getReader();
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		for (let i = 0; i < value.length; i++) crc = CRC_TABLE[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields, local time
+function dosTime(d) {
+	return {
+		time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+		date: (Math.max(0, d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+	};
+}
+
+// Blob of a .zip holding entries [{ path, blob }]
+export async function zipBlobs(entries) {
+	if (entries.length > 0xffff) throw new Error(`too many files for a .zip (${entries.length}, at most 65535)`);
+	const names = entries.map(({ path }) => new TextEncoder().encode(path));
+	// Local headers and data, then the central directory and its end record: every size and offset
+	// field stays below 0xffffffff (which would mean ZIP64) when the whole archive does
+	const size = names.reduce((n, name, i) => n + 30 + 46 + 2 * name.length + entries[i].blob.size, 22);
+	if (size >= 0xffffffff) throw new Error('folder too large for a .zip (4 GB)');
+	const { time, date } = dosTime(new Date());
+	const parts = [];
+	const central = [];
+	let offset = 0;
+	for (const [i, { blob }] of entries.entries()) {
+		const name = names[i];
+		const crc = await crc32(blob);
+		const local = new DataView(new ArrayBuffer(30));
+		local.setUint32(0, 0x04034b50, true);
+		local.setUint16(4, 20, true); // version needed: 2.0
+		local.setUint16(6, 0x0800, true); // names are UTF-8
+		local.setUint16(8, 0, true); // stored
+		local.setUint16(10, time, true);
+		local.setUint16(12, date, true);
+		local.setUint32(14, crc, true);
+		local.setUint32(18, blob.size, true);
+		local.setUint32(22, blob.size, true);
+		local.setUint16(26, name.length, true);
+		parts.push(local, name, blob);
+
+		const entry = new DataView(new ArrayBuffer(46));
+		entry.setUint32(0, 0x02014b50, true);
+		entry.setUint16(4, 20, true); // made by: 2.0
+		entry.setUint16(6, 20, true);
+		entry.setUint16(8, 0x0800, true);
+		entry.setUint16(10, 0, true);
+		entry.setUint16(12, time, true);
+		entry.setUint16(14, date, true);
+		entry.setUint32(16, crc, true);
+		entry.setUint32(20, blob.size, true);
+		entry.setUint32(24, blob.size, true);
+		entry.setUint16(28, name.length, true);
+		entry.setUint32(42, offset, true);
+		central.push(entry, name);
+		offset += 30 + name.length + blob.size;
+	}
+	const end = new DataView(new ArrayBuffer(22));
+	end.setUint32(0, 0x06054b50, true);
+	end.setUint16(8, entries.length, true);
+	end.setUint16(10, entries.length, true);
+	end.setUint32(
+		12,
+		central.reduce((n, p) => n + p.byteLength, 0),
+		true,
+	);
+	end.setUint32(16, offset, true);
+	return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}